@@ -0,0 +1,34 @@
+// Permissions granted to each role. ADMIN implicitly has every permission.
+const ROLE_PERMISSIONS = {
+  CUSTOMER: [],
+  SUPPORT: ["orders:read", "users:read", "users:unlock", "reviews:moderate"],
+  CATALOG_MANAGER: [
+    "products:create",
+    "products:update",
+    "products:delete",
+    "products:import",
+    "products:export",
+    "inventory:update",
+    "categories:create",
+    "categories:update",
+    "categories:delete",
+  ],
+  FULFILLMENT: ["orders:read", "orders:update", "inventory:update"],
+  ADMIN: ["*"],
+};
+
+const STAFF_ROLES = ["ADMIN", "SUPPORT", "CATALOG_MANAGER", "FULFILLMENT"];
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+  const permissions = getPermissions(role);
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  getPermissions,
+  hasPermission,
+};
@@ -16,6 +16,20 @@ const options = {
         url: "https://ecomerce-api-dski.onrender.com/api-docs",
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+        },
+      },
+    },
   },
   apis: ["./routes/*.js"],
 };
@@ -0,0 +1,140 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const {
+  createAddressSchema,
+  updateAddressSchema,
+} = require("../validations/addressValidation");
+
+// Only one default shipping and one default billing address per user
+const clearDefaults = async (tx, userId, data) => {
+  if (data.isDefaultShipping) {
+    await tx.address.updateMany({
+      where: { userId, isDefaultShipping: true },
+      data: { isDefaultShipping: false },
+    });
+  }
+  if (data.isDefaultBilling) {
+    await tx.address.updateMany({
+      where: { userId, isDefaultBilling: true },
+      data: { isDefaultBilling: false },
+    });
+  }
+};
+
+// 📒 GET MY ADDRESSES
+const getMyAddresses = asyncHandler(async (req, res) => {
+  const addresses = await prisma.address.findMany({
+    where: { userId: req.user.id },
+    orderBy: [
+      { isDefaultShipping: "desc" },
+      { isDefaultBilling: "desc" },
+      { createdAt: "desc" },
+    ],
+  });
+
+  res.status(200).json(addresses);
+});
+
+// 🔍 GET ONE OF MY ADDRESSES
+const getMyAddress = asyncHandler(async (req, res) => {
+  const address = await prisma.address.findFirst({
+    where: { id: req.params.addressId, userId: req.user.id },
+  });
+
+  if (!address) {
+    return res.status(404).json({ message: "Address not found" });
+  }
+
+  res.status(200).json(address);
+});
+
+// ➕ ADD ADDRESS
+const createAddress = asyncHandler(async (req, res) => {
+  const { error, value } = createAddressSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const address = await prisma.$transaction(async (tx) => {
+    // The first address becomes the default for both
+    const count = await tx.address.count({ where: { userId } });
+    const data =
+      count === 0
+        ? { ...value, isDefaultShipping: true, isDefaultBilling: true }
+        : value;
+
+    await clearDefaults(tx, userId, data);
+
+    return tx.address.create({
+      data: { ...data, userId },
+    });
+  });
+
+  res.status(201).json({
+    message: "Address added successfully",
+    address,
+  });
+});
+
+// ✏️ UPDATE ADDRESS
+const updateAddress = asyncHandler(async (req, res) => {
+  const { addressId } = req.params;
+  const { error, value } = updateAddressSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const existingAddress = await prisma.address.findFirst({
+    where: { id: addressId, userId },
+  });
+
+  if (!existingAddress) {
+    return res.status(404).json({ message: "Address not found" });
+  }
+
+  const address = await prisma.$transaction(async (tx) => {
+    await clearDefaults(tx, userId, value);
+
+    return tx.address.update({
+      where: { id: addressId },
+      data: value,
+    });
+  });
+
+  res.status(200).json({
+    message: "Address updated successfully",
+    address,
+  });
+});
+
+// 🗑️ DELETE ADDRESS
+// Past orders keep their own snapshot, so deleting is always safe
+const deleteAddress = asyncHandler(async (req, res) => {
+  const { addressId } = req.params;
+
+  const address = await prisma.address.findFirst({
+    where: { id: addressId, userId: req.user.id },
+  });
+
+  if (!address) {
+    return res.status(404).json({ message: "Address not found" });
+  }
+
+  await prisma.address.delete({
+    where: { id: addressId },
+  });
+
+  res.status(200).json({ message: "Address deleted successfully" });
+});
+
+module.exports = {
+  getMyAddresses,
+  getMyAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+};
@@ -0,0 +1,102 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const AuditService = require("../services/AuditService");
+const ApiKeyService = require("../services/ApiKeyService");
+const { createApiKeySchema } = require("../validations/apiKeyValidation");
+
+// Never expose keyHash
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  revokedAt: true,
+  lastUsedAt: true,
+  createdAt: true,
+  createdBy: {
+    select: { id: true, email: true },
+  },
+};
+
+// 🔑 ADMIN: CREATE API KEY
+const createApiKey = asyncHandler(async (req, res) => {
+  const { error, value } = createApiKeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { name, scopes, expiresAt } = value;
+  const { key, prefix, keyHash } = ApiKeyService.generate();
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name,
+      scopes,
+      expiresAt,
+      prefix,
+      keyHash,
+      createdById: req.user.id,
+    },
+    select: apiKeySelect,
+  });
+
+  await AuditService.record({
+    action: "API_KEY_CREATED",
+    actorId: req.user.id,
+    targetType: "ApiKey",
+    targetId: apiKey.id,
+    metadata: { name, scopes },
+    req,
+  });
+
+  res.status(201).json({
+    message: "API key created. Store it now, it will not be shown again",
+    apiKey: { ...apiKey, key },
+  });
+});
+
+// 📋 ADMIN: LIST API KEYS
+const getAllApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await prisma.apiKey.findMany({
+    orderBy: { createdAt: "desc" },
+    select: apiKeySelect,
+  });
+
+  res.status(200).json(apiKeys);
+});
+
+// 🚫 ADMIN: REVOKE API KEY
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { id },
+  });
+
+  if (!apiKey) {
+    return res.status(404).json({ message: "API key not found" });
+  }
+
+  if (apiKey.revokedAt) {
+    return res.status(400).json({ message: "API key is already revoked" });
+  }
+
+  await prisma.apiKey.update({
+    where: { id },
+    data: { revokedAt: new Date() },
+  });
+
+  await AuditService.record({
+    action: "API_KEY_REVOKED",
+    actorId: req.user.id,
+    targetType: "ApiKey",
+    targetId: id,
+    metadata: { name: apiKey.name },
+    req,
+  });
+
+  res.status(200).json({ message: "API key revoked successfully" });
+});
+
+module.exports = { createApiKey, getAllApiKeys, revokeApiKey };
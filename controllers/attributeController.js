@@ -0,0 +1,146 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const CacheService = require("../services/CacheService");
+const AttributeService = require("../services/AttributeService");
+const {
+  createAttributeSchema,
+  updateAttributeSchema,
+} = require("../validations/categoryValidation");
+
+// 📐 GET CATEGORY ATTRIBUTES (own and inherited)
+const getCategoryAttributes = asyncHandler(async (req, res) => {
+  const { id: categoryId } = req.params;
+
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId },
+    select: { id: true },
+  });
+
+  if (!category) {
+    return res.status(404).json({ message: "This category does not exist" });
+  }
+
+  const definitions = await AttributeService.definitionsFor(categoryId);
+
+  res.status(200).json(
+    definitions.map((definition) => ({
+      ...definition,
+      inherited: definition.categoryId !== categoryId,
+    }))
+  );
+});
+
+// ➕ CREATE ATTRIBUTE DEFINITION
+const createAttribute = asyncHandler(async (req, res) => {
+  const { id: categoryId } = req.params;
+  const { error, value } = createAttributeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId },
+    select: { id: true },
+  });
+
+  if (!category) {
+    return res.status(404).json({ message: "This category does not exist" });
+  }
+
+  if (await AttributeService.keyInUse(categoryId, value.key)) {
+    return res.status(409).json({
+      message: `The key "${value.key}" is already used in this category tree`,
+    });
+  }
+
+  const attribute = await prisma.attributeDefinition.create({
+    data: { ...value, categoryId },
+  });
+
+  res.status(201).json({
+    message: "Attribute created successfully",
+    attribute,
+  });
+});
+
+// ✏️ UPDATE ATTRIBUTE DEFINITION
+// Making an attribute required does not touch existing products; the rule
+// applies the next time their attributes are written.
+const updateAttribute = asyncHandler(async (req, res) => {
+  const { id: categoryId, attributeId } = req.params;
+  const { error, value } = updateAttributeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const attribute = await prisma.attributeDefinition.findFirst({
+    where: { id: attributeId, categoryId },
+  });
+
+  if (!attribute) {
+    return res.status(404).json({ message: "Attribute not found" });
+  }
+
+  if (value.options && attribute.type !== "ENUM") {
+    return res
+      .status(400)
+      .json({ message: "Only ENUM attributes have options" });
+  }
+
+  // Options still held by products cannot be removed
+  if (value.options) {
+    const removed = attribute.options.filter(
+      (option) => !value.options.includes(option)
+    );
+    const inUse = await prisma.productAttributeValue.count({
+      where: { definitionId: attributeId, textValue: { in: removed } },
+    });
+
+    if (inUse > 0) {
+      return res.status(409).json({
+        message: `${inUse} products still use the removed options`,
+      });
+    }
+  }
+
+  const updatedAttribute = await prisma.attributeDefinition.update({
+    where: { id: attributeId },
+    data: value,
+  });
+
+  // Product details show attribute names and units
+  await CacheService.invalidateAllProductCaches();
+
+  res.status(200).json({
+    message: "Attribute updated successfully",
+    attribute: updatedAttribute,
+  });
+});
+
+// 🗑️ DELETE ATTRIBUTE DEFINITION (and every product value of it)
+const deleteAttribute = asyncHandler(async (req, res) => {
+  const { id: categoryId, attributeId } = req.params;
+
+  const attribute = await prisma.attributeDefinition.findFirst({
+    where: { id: attributeId, categoryId },
+  });
+
+  if (!attribute) {
+    return res.status(404).json({ message: "Attribute not found" });
+  }
+
+  await prisma.attributeDefinition.delete({
+    where: { id: attributeId },
+  });
+
+  await CacheService.invalidateAllProductCaches();
+
+  res.status(200).json({ message: "Attribute deleted successfully" });
+});
+
+module.exports = {
+  getCategoryAttributes,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute,
+};
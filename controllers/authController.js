@@ -1,16 +1,25 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const prisma = require("../config/database");
+const TokenService = require("../services/TokenService");
+const UserTokenService = require("../services/UserTokenService");
+const MailService = require("../services/MailService");
+const LoginThrottleService = require("../services/LoginThrottleService");
+const TwoFactorService = require("../services/TwoFactorService");
+const { getAccountStatusError } = require("../utils/accountStatus");
+const { sendLoginBlocked } = require("../utils/loginThrottle");
 const {
   loginSchema,
   registerSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
 } = require("../validations/authValidation");
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-};
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES || "60"
+);
 
 const register = async (req, res) => {
   try {
@@ -19,7 +28,7 @@ const register = async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { email, password, firstName, lastName, role } = value;
+    const { email, password, firstName, lastName } = value;
 
     const existingUser = await prisma.user.findUnique({
       where: { email },
@@ -39,7 +48,8 @@ const register = async (req, res) => {
         password: hashedPassword,
         firstName,
         lastName,
-        role,
+        // Public registration is customer-only, admins join by invitation
+        role: "CUSTOMER",
       },
       select: {
         id: true,
@@ -47,22 +57,30 @@ const register = async (req, res) => {
         firstName: true,
         lastName: true,
         role: true,
+        emailVerified: true,
         createdAt: true,
       },
     });
 
-    if (role === "CUSTOMER") {
-      await prisma.cart.create({
-        data: { userId: user.id },
-      });
+    await prisma.cart.create({
+      data: { userId: user.id },
+    });
+
+    // The account exists at this point; a failed send is recovered through
+    // resend-verification rather than by failing the registration
+    try {
+      await UserTokenService.sendEmailVerification(user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError);
     }
 
-    const token = generateToken(user.id);
+    const { token, refreshToken } = await TokenService.createSession(user.id);
 
     res.status(201).json({
       message: "User registered successfully",
       user,
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -79,20 +97,44 @@ const login = async (req, res) => {
 
     const { email, password } = value;
 
+    const block = await LoginThrottleService.check(email, req.ip);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
     const user = await prisma.user.findUnique({
       where: { email },
     });
 
-    if (!user) {
+    const isValidPassword =
+      user && (await bcrypt.compare(password, user.password));
+    if (!isValidPassword) {
+      const newBlock = await LoginThrottleService.recordFailure(email, req.ip);
+      if (newBlock) {
+        return sendLoginBlocked(res, newBlock);
+      }
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: "Invalid credentials" });
+    // Only revealed once the password is known to be correct
+    const statusError = getAccountStatusError(user);
+    if (statusError) {
+      return res.status(403).json(statusError);
+    }
+
+    // With 2FA the failure history is only cleared once the code is checked
+    if (user.twoFactorEnabled) {
+      const challengeToken = await TwoFactorService.createChallenge(user.id);
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken,
+      });
     }
 
-    const token = generateToken(user.id);
+    await LoginThrottleService.recordSuccess(email);
+
+    const { token, refreshToken } = await TokenService.createSession(user.id);
 
     res.json({
       message: "Login successful",
@@ -102,8 +144,10 @@ const login = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
+        emailVerified: user.emailVerified,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -111,4 +155,238 @@ const login = async (req, res) => {
   }
 };
 
-module.exports = { register, login };
+const refresh = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const tokens = await TokenService.rotate(value.refreshToken);
+    if (!tokens) {
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired refresh token" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: tokens.userId },
+    });
+
+    if (!user) {
+      await TokenService.revokeAllSessions(tokens.userId);
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired refresh token" });
+    }
+
+    const statusError = getAccountStatusError(user);
+    if (statusError) {
+      await TokenService.revokeAllSessions(user.id);
+      return res.status(403).json(statusError);
+    }
+
+    res.json({
+      message: "Token refreshed successfully",
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = await TokenService.getSession(value.refreshToken);
+    if (session) {
+      await TokenService.revokeSession(session.familyId, session.userId);
+    }
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    await TokenService.revokeAllSessions(req.user.id);
+
+    res.json({ message: "Logged out from all sessions" });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email },
+    });
+
+    // Same response whether or not the account exists
+    if (user) {
+      const token = await UserTokenService.issue(
+        user.id,
+        "PASSWORD_RESET",
+        PASSWORD_RESET_TTL_MINUTES
+      );
+      await MailService.sendPasswordReset(
+        user,
+        token,
+        PASSWORD_RESET_TTL_MINUTES
+      );
+    }
+
+    res.json({
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { token, password } = value;
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const record = await prisma.$transaction(async (tx) => {
+      const resetToken = await UserTokenService.consume(
+        token,
+        "PASSWORD_RESET",
+        tx
+      );
+      if (!resetToken) {
+        return null;
+      }
+
+      // Receiving the reset email proves ownership of the address
+      const user = await tx.user.findUnique({
+        where: { id: resetToken.userId },
+      });
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: {
+          password: hashedPassword,
+          ...(!user.emailVerified && {
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+          }),
+        },
+      });
+
+      return resetToken;
+    });
+
+    if (!record) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired password reset token" });
+    }
+
+    // Sign out everywhere, the old password may have been compromised
+    await TokenService.revokeAllSessions(record.userId);
+
+    res.json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      const record = await UserTokenService.consume(
+        value.token,
+        "EMAIL_VERIFICATION",
+        tx
+      );
+      if (!record) {
+        return null;
+      }
+
+      return tx.user.update({
+        where: { id: record.userId },
+        data: { emailVerified: true, emailVerifiedAt: new Date() },
+        select: { id: true, email: true, emailVerified: true },
+      });
+    });
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired verification token" });
+    }
+
+    res.json({ message: "Email verified successfully", user });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const { error, value } = resendVerificationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email },
+    });
+
+    // Same response whether or not the account exists or is verified
+    if (user && !user.emailVerified) {
+      await UserTokenService.sendEmailVerification(user);
+    }
+
+    res.json({
+      message:
+        "If this email belongs to an unverified account, a verification link has been sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+};
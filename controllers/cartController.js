@@ -1,10 +1,18 @@
 const prisma = require("../config/database");
 const asyncHandler = require("express-async-handler");
 const joi = require("joi");
+const CartService = require("../services/CartService");
+const {
+  effectivePrice,
+  variantInclude,
+  availableQuantity,
+} = require("../utils/variants");
 
 // 🛒 VALIDATION SCHEMAS
 const addToCartSchema = joi.object({
   productId: joi.string().required(),
+  // Required for products that are sold as variants
+  variantId: joi.string().optional(),
   quantity: joi.number().integer().min(1).max(99).default(1),
 });
 
@@ -19,105 +27,14 @@ const addToCart = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { productId, quantity } = value;
-  const userId = req.user.id;
-
-  // Check if product exists and is active
-  const product = await prisma.product.findUnique({
-    where: { id: productId },
-    include: {
-      inventory: true,
-    },
-  });
-
-  if (!product) {
-    return res.status(404).json({ message: "Product not found" });
-  }
-
-  if (!product.isActive) {
-    return res.status(400).json({ message: "Product is not available" });
-  }
-
-  // Check inventory
-  if (product.inventory.quantity < quantity) {
-    return res.status(400).json({
-      message: `Only ${product.inventory.quantity} items available in stock`,
-    });
-  }
-
-  // Get or create user's cart
-  let cart = await prisma.cart.findUnique({
-    where: { userId },
-  });
-
-  if (!cart) {
-    cart = await prisma.cart.create({
-      data: { userId },
-    });
-  }
-
-  // Check if item already exists in cart
-  const existingCartItem = await prisma.cartItem.findUnique({
-    where: {
-      cartId_productId: {
-        cartId: cart.id,
-        productId,
-      },
-    },
-  });
-
-  let cartItem;
-  if (existingCartItem) {
-    // Update existing item
-    const newQuantity = existingCartItem.quantity + quantity;
-
-    // Check total quantity against inventory
-    if (product.inventory.quantity < newQuantity) {
-      return res.status(400).json({
-        message: `Cannot add ${quantity} more items. Only ${
-          product.inventory.quantity - existingCartItem.quantity
-        } more available`,
-      });
-    }
-
-    cartItem = await prisma.cartItem.update({
-      where: { id: existingCartItem.id },
-      data: { quantity: newQuantity },
-      include: {
-        product: {
-          select: {
-            id: true,
-            name: true,
-            price: true,
-            imageUrl: true,
-          },
-        },
-      },
-    });
-  } else {
-    // Create new cart item
-    cartItem = await prisma.cartItem.create({
-      data: {
-        cartId: cart.id,
-        productId,
-        quantity,
-      },
-      include: {
-        product: {
-          select: {
-            id: true,
-            name: true,
-            price: true,
-            imageUrl: true,
-          },
-        },
-      },
-    });
+  const result = await CartService.addItem(req.user.id, value);
+  if (result.message) {
+    return res.status(result.status).json({ message: result.message });
   }
 
   res.status(200).json({
     message: "Item added to cart successfully",
-    cartItem,
+    cartItem: CartService.withItemPrice(result.cartItem),
   });
 });
 
@@ -142,6 +59,16 @@ const getCart = asyncHandler(async (req, res) => {
               },
             },
           },
+          variant: {
+            select: {
+              id: true,
+              sku: true,
+              price: true,
+              imageUrl: true,
+              isActive: true,
+              ...variantInclude,
+            },
+          },
         },
         orderBy: { createdAt: "desc" },
       },
@@ -156,21 +83,26 @@ const getCart = asyncHandler(async (req, res) => {
     });
   }
 
+  const items = cart.items.map((item) => CartService.withItemPrice(item));
+
   // Calculate totals
-  const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-  const totalAmount = cart.items.reduce(
-    (sum, item) => sum + parseFloat(item.product.price) * item.quantity,
+  const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
+  const totalAmount = items.reduce(
+    (sum, item) => sum + item.unitPrice * item.quantity,
     0
   );
 
   // Check for inactive products or out of stock
-  const unavailableItems = cart.items.filter(
-    (item) => !item.product.isActive || item.product.inventory.quantity === 0
+  const unavailableItems = items.filter(
+    (item) =>
+      !item.product.isActive ||
+      (item.variant && !item.variant.isActive) ||
+      availableQuantity(item) === 0
   );
 
   res.status(200).json({
     cartId: cart.id,
-    items: cart.items,
+    items,
     totalItems,
     totalAmount: parseFloat(totalAmount.toFixed(2)),
     unavailableItems:
@@ -200,6 +132,9 @@ const updateCartItem = asyncHandler(async (req, res) => {
       product: {
         include: { inventory: true },
       },
+      variant: {
+        include: { inventory: true },
+      },
     },
   });
 
@@ -208,30 +143,22 @@ const updateCartItem = asyncHandler(async (req, res) => {
   }
 
   // Check inventory
-  if (cartItem.product.inventory.quantity < quantity) {
+  const stock = availableQuantity(cartItem);
+  if (stock < quantity) {
     return res.status(400).json({
-      message: `Only ${cartItem.product.inventory.quantity} items available in stock`,
+      message: `Only ${stock} items available in stock`,
     });
   }
 
   const updatedCartItem = await prisma.cartItem.update({
     where: { id: itemId },
     data: { quantity },
-    include: {
-      product: {
-        select: {
-          id: true,
-          name: true,
-          price: true,
-          imageUrl: true,
-        },
-      },
-    },
+    include: CartService.itemInclude,
   });
 
   res.status(200).json({
     message: "Cart item updated successfully",
-    cartItem: updatedCartItem,
+    cartItem: CartService.withItemPrice(updatedCartItem),
   });
 });
 
@@ -290,6 +217,9 @@ const getCartSummary = asyncHandler(async (req, res) => {
           product: {
             select: { price: true, isActive: true },
           },
+          variant: {
+            select: { price: true, isActive: true },
+          },
         },
       },
     },
@@ -303,13 +233,17 @@ const getCartSummary = asyncHandler(async (req, res) => {
     });
   }
 
-  const availableItems = cart.items.filter((item) => item.product.isActive);
+  const availableItems = cart.items.filter(
+    (item) => item.product.isActive && (!item.variant || item.variant.isActive)
+  );
   const totalItems = availableItems.reduce(
     (sum, item) => sum + item.quantity,
     0
   );
   const totalAmount = availableItems.reduce(
-    (sum, item) => sum + parseFloat(item.product.price) * item.quantity,
+    (sum, item) =>
+      sum +
+      parseFloat(effectivePrice(item.product, item.variant)) * item.quantity,
     0
   );
 
@@ -1,9 +1,17 @@
 const prisma = require("../config/database");
 const asyncHandler = require("express-async-handler");
 const CacheService = require("../services/CacheService");
+const CategoryService = require("../services/CategoryService");
+const AttributeService = require("../services/AttributeService");
+const SlugService = require("../services/SlugService");
+const ImageService = require("../services/ImageService");
+const StorageService = require("../services/StorageService");
+const { flattenCategoryTree } = require("../utils/categoryTree");
 const {
+  ALLOWED_CATEGORIES,
   updateCategorySchema,
   createCategorySchema,
+  moveCategorySchema,
 } = require("../validations/categoryValidation");
 
 const createCategory = asyncHandler(async (req, res) => {
@@ -12,7 +20,17 @@ const createCategory = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { name, description, imageUrl } = value;
+  const { name, slug, description, imageUrl, parentId } = value;
+
+  if (parentId) {
+    const parent = await prisma.category.findUnique({
+      where: { id: parentId },
+    });
+
+    if (!parent) {
+      return res.status(404).json({ message: "Parent category not found" });
+    }
+  }
 
   const checkCategory = await prisma.category.findUnique({
     where: { name },
@@ -23,16 +41,25 @@ const createCategory = asyncHandler(async (req, res) => {
       .json({ message: "this category is already in the database" });
   }
 
-  const newCategory = await prisma.category.create({
-    data: {
-      name,
-      description,
-      imageUrl,
-    },
-  });
+  // A chosen slug must be free; a generated one avoids collisions itself
+  if (slug && (await SlugService.isTaken("category", slug))) {
+    return res.status(409).json({ message: "This slug is already in use" });
+  }
+  const categorySlug = slug || (await SlugService.generate("category", name));
 
-  // Cache the new category
-  await CacheService.setCategory(newCategory.id, newCategory);
+  const newCategory = await prisma.$transaction(async (tx) => {
+    await SlugService.claim("category", categorySlug, tx);
+
+    return tx.category.create({
+      data: {
+        name,
+        slug: categorySlug,
+        description,
+        imageUrl,
+        parentId,
+      },
+    });
+  });
 
   // Invalidate categories list cache
   await CacheService.invalidateCategories();
@@ -43,37 +70,24 @@ const createCategory = asyncHandler(async (req, res) => {
   });
 });
 
+// Flat list, derived from the cached tree
 const getAllCategories = asyncHandler(async (req, res) => {
-  // Try cache first
-  let categories = await CacheService.getCategories();
-
-  if (!categories) {
-    // Get from database
-    categories = await prisma.category.findMany({
-      orderBy: { name: "asc" },
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        imageUrl: true,
-        createdAt: true,
-        _count: {
-          select: {
-            products: {
-              where: { isActive: true },
-            },
-          },
-        },
-      },
-    });
+  const tree = await CategoryService.getTree();
 
-    // Cache the result
-    await CacheService.setCategories(categories, 3600); // 1 hour
-  }
+  const categories = flattenCategoryTree(tree).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
 
   return res.status(200).json(categories);
 });
 
+// 🌳 GET CATEGORY TREE
+const getCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await CategoryService.getTree();
+
+  return res.status(200).json(tree);
+});
+
 const deleteCategories = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -81,7 +95,7 @@ const deleteCategories = asyncHandler(async (req, res) => {
     where: { id },
     include: {
       _count: {
-        select: { products: true },
+        select: { products: true, children: true },
       },
     },
   });
@@ -90,6 +104,12 @@ const deleteCategories = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "this category does not exists" });
   }
 
+  if (category._count.children > 0) {
+    return res.status(400).json({
+      message: "Cannot delete category with subcategories",
+    });
+  }
+
   // Check if category has products
   if (category._count.products > 0) {
     return res.status(400).json({
@@ -100,6 +120,7 @@ const deleteCategories = asyncHandler(async (req, res) => {
   await prisma.category.delete({
     where: { id },
   });
+  await StorageService.deleteMany(category.imageKeys);
 
   // Invalidate caches
   await CacheService.invalidateCategories();
@@ -116,7 +137,7 @@ const updateCategory = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { name, description, imageUrl } = value;
+  const { name, slug, description, imageUrl } = value;
 
   const existingCategory = await prisma.category.findUnique({
     where: { id },
@@ -144,34 +165,197 @@ const updateCategory = asyncHandler(async (req, res) => {
     }
   }
 
+  // A new slug comes from the request or, on a rename, from the new name
+  let newSlug;
+  if (slug && slug !== existingCategory.slug) {
+    if (await SlugService.isTaken("category", slug, id)) {
+      return res.status(409).json({ message: "This slug is already in use" });
+    }
+    newSlug = slug;
+  } else if (!slug && name !== existingCategory.name) {
+    newSlug = await SlugService.generate("category", name, id);
+  }
+
+  const updatedCategory = await prisma.$transaction(async (tx) => {
+    if (newSlug) {
+      // The old slug keeps working as a redirect
+      await SlugService.recordChange(
+        "category",
+        id,
+        existingCategory.slug,
+        newSlug,
+        tx
+      );
+    }
+
+    return tx.category.update({
+      where: { id },
+      data: {
+        name,
+        ...(newSlug && { slug: newSlug }),
+        description,
+        imageUrl,
+      },
+    });
+  });
+
+  // getCategoryById rebuilds the entry with breadcrumbs and counts
+  await CacheService.invalidateCategories();
+
+  // Invalidate related product caches; a rename also changes breadcrumbs
+  await CacheService.delPattern(`category:${id}:products:*`);
+  if (name !== existingCategory.name || newSlug) {
+    await CacheService.invalidateAllProductCaches();
+  }
+
+  return res.status(200).json({
+    message: "Category updated successfully",
+    category: updatedCategory,
+  });
+});
+
+// 🌳 MOVE CATEGORY (with its whole subtree) UNDER A NEW PARENT
+const moveCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { error, value } = moveCategorySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { parentId } = value;
+
+  const category = await prisma.category.findUnique({
+    where: { id },
+  });
+
+  if (!category) {
+    return res.status(404).json({ message: "This category does not exist" });
+  }
+
+  if (parentId) {
+    const parent = await prisma.category.findUnique({
+      where: { id: parentId },
+    });
+
+    if (!parent) {
+      return res.status(404).json({ message: "Parent category not found" });
+    }
+
+    if (await CategoryService.isInSubtree(id, parentId)) {
+      return res.status(400).json({
+        message: "A category cannot be moved under itself or its descendants",
+      });
+    }
+
+    // Attribute keys must stay unique along the new branch
+    const conflicts = await AttributeService.conflictingKeys(id, parentId);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        message: `The new parent already defines these attributes: ${conflicts.join(
+          ", "
+        )}`,
+      });
+    }
+  }
+
+  // Same rule as createCategory: root categories come from the fixed list
+  if (!parentId && !ALLOWED_CATEGORIES.includes(category.name)) {
+    return res.status(400).json({
+      message: `Only these categories can be at the root: ${ALLOWED_CATEGORIES.join(
+        ", "
+      )}`,
+    });
+  }
+
+  const movedCategory = await prisma.category.update({
+    where: { id },
+    data: { parentId },
+  });
+
+  // Breadcrumbs and descendant listings change for the whole subtree
+  await CacheService.invalidateCategories();
+  await CacheService.invalidateAllProductCaches();
+
+  return res.status(200).json({
+    message: "Category moved successfully",
+    category: movedCategory,
+    breadcrumbs: await CategoryService.getBreadcrumbs(id),
+  });
+});
+
+// 📤 UPLOAD CATEGORY IMAGE (replaces the current one)
+const uploadCategoryImage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    return res.status(400).json({ message: "No image uploaded" });
+  }
+
+  const category = await prisma.category.findUnique({
+    where: { id },
+  });
+
+  if (!category) {
+    return res.status(404).json({ message: "This category does not exist" });
+  }
+
+  const metadata = await ImageService.inspect(req.file);
+  if (!metadata) {
+    return res.status(400).json({ message: "File is not a supported image" });
+  }
+
+  const image = await ImageService.store(
+    req.file,
+    `categories/${id}`,
+    metadata
+  );
+
   const updatedCategory = await prisma.category.update({
     where: { id },
     data: {
-      name,
-      description,
-      imageUrl,
+      imageUrl: image.sizes.medium,
+      imageKeys: image.storageKeys,
     },
   });
 
-  // Update caches
-  await CacheService.setCategory(id, updatedCategory);
+  // The previous upload is no longer referenced
+  await StorageService.deleteMany(category.imageKeys);
   await CacheService.invalidateCategories();
 
-  // Invalidate related product caches
-  await CacheService.delPattern(`category:${id}:products:*`);
-
   return res.status(200).json({
-    message: "Category updated successfully",
+    message: "Category image uploaded successfully",
     category: updatedCategory,
+    sizes: image.sizes,
   });
 });
 
 // Get single category with products count
+// Accepts the category id or its slug; old slugs redirect to the current one
 const getCategoryById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const { id: idOrSlug } = req.params;
+
+  // Try cache first (cached by id)
+  let category = await CacheService.getCategory(idOrSlug);
+  if (category) {
+    return res.status(200).json(category);
+  }
 
-  // Try cache first
-  let category = await CacheService.getCategory(id);
+  const found = await SlugService.resolve("category", idOrSlug);
+
+  if (!found) {
+    return res.status(404).json({ message: "Category not found" });
+  }
+
+  if (found.redirectTo) {
+    return res
+      .status(301)
+      .location(`/api/category/${found.redirectTo}`)
+      .json({ message: "Category has moved", slug: found.redirectTo });
+  }
+
+  const { id } = found;
+  category = await CacheService.getCategory(id);
 
   if (!category) {
     category = await prisma.category.findUnique({
@@ -187,9 +371,10 @@ const getCategoryById = asyncHandler(async (req, res) => {
       },
     });
 
-    if (!category) {
-      return res.status(404).json({ message: "Category not found" });
-    }
+    category = {
+      ...category,
+      breadcrumbs: await CategoryService.getBreadcrumbs(id),
+    };
 
     // Cache the category
     await CacheService.setCategory(id, category);
@@ -201,7 +386,10 @@ const getCategoryById = asyncHandler(async (req, res) => {
 module.exports = {
   createCategory,
   getAllCategories,
+  getCategoryTree,
   deleteCategories,
   updateCategory,
+  moveCategory,
+  uploadCategoryImage,
   getCategoryById,
 };
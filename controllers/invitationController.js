@@ -0,0 +1,257 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const AuditService = require("../services/AuditService");
+const MailService = require("../services/MailService");
+const TokenService = require("../services/TokenService");
+const {
+  createInvitationSchema,
+  acceptInvitationSchema,
+} = require("../validations/invitationValidation");
+
+const INVITATION_TTL_HOURS = parseInt(
+  process.env.ADMIN_INVITATION_TTL_HOURS || "72"
+);
+const INVITATION_PURPOSE = "admin-invitation";
+
+const getInvitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return "ACCEPTED";
+  if (invitation.revokedAt) return "REVOKED";
+  if (invitation.expiresAt < new Date()) return "EXPIRED";
+  return "PENDING";
+};
+
+// ✉️ ADMIN: INVITE A NEW ADMIN
+const createInvitation = asyncHandler(async (req, res) => {
+  const { error, value } = createInvitationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { email, role } = value;
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email },
+  });
+  if (existingUser) {
+    return res
+      .status(409)
+      .json({ message: "A user with this email already exists" });
+  }
+
+  const invitation = await prisma.$transaction(async (tx) => {
+    // A new invitation supersedes pending ones for the same email
+    await tx.adminInvitation.updateMany({
+      where: { email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    const newInvitation = await tx.adminInvitation.create({
+      data: {
+        email,
+        role,
+        invitedById: req.user.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000),
+      },
+    });
+
+    await AuditService.record(
+      {
+        action: "ADMIN_INVITATION_CREATED",
+        actorId: req.user.id,
+        targetType: "AdminInvitation",
+        targetId: newInvitation.id,
+        metadata: { email, role },
+        req,
+      },
+      tx
+    );
+
+    return newInvitation;
+  });
+
+  const token = jwt.sign(
+    { invitationId: invitation.id, email, purpose: INVITATION_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: `${INVITATION_TTL_HOURS}h` }
+  );
+
+  await MailService.sendAdminInvitation(invitation, token, req.user);
+
+  res.status(201).json({
+    message: "Invitation sent successfully",
+    invitation: { ...invitation, status: getInvitationStatus(invitation) },
+  });
+});
+
+// 📋 ADMIN: LIST INVITATIONS
+const getAllInvitations = asyncHandler(async (req, res) => {
+  const invitations = await prisma.adminInvitation.findMany({
+    orderBy: { createdAt: "desc" },
+    include: {
+      invitedBy: {
+        select: { id: true, email: true, firstName: true, lastName: true },
+      },
+    },
+  });
+
+  res.status(200).json(
+    invitations.map((invitation) => ({
+      ...invitation,
+      status: getInvitationStatus(invitation),
+    }))
+  );
+});
+
+// 🚫 ADMIN: REVOKE A PENDING INVITATION
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const invitation = await prisma.adminInvitation.findUnique({
+    where: { id },
+  });
+
+  if (!invitation) {
+    return res.status(404).json({ message: "Invitation not found" });
+  }
+
+  if (getInvitationStatus(invitation) !== "PENDING") {
+    return res
+      .status(400)
+      .json({ message: "Only pending invitations can be revoked" });
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.adminInvitation.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+    });
+
+    await AuditService.record(
+      {
+        action: "ADMIN_INVITATION_REVOKED",
+        actorId: req.user.id,
+        targetType: "AdminInvitation",
+        targetId: id,
+        metadata: { email: invitation.email },
+        req,
+      },
+      tx
+    );
+  });
+
+  res.status(200).json({ message: "Invitation revoked successfully" });
+});
+
+// ✅ ACCEPT INVITATION (creates the privileged account)
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { error, value } = acceptInvitationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { token, password, firstName, lastName } = value;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(400).json({ message: "Invalid or expired invitation" });
+  }
+
+  if (payload.purpose !== INVITATION_PURPOSE) {
+    return res.status(400).json({ message: "Invalid or expired invitation" });
+  }
+
+  const invitation = await prisma.adminInvitation.findUnique({
+    where: { id: payload.invitationId },
+  });
+
+  if (!invitation || getInvitationStatus(invitation) !== "PENDING") {
+    return res.status(400).json({ message: "Invalid or expired invitation" });
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: invitation.email },
+  });
+  if (existingUser) {
+    return res
+      .status(409)
+      .json({ message: "A user with this email already exists" });
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 12);
+
+  const user = await prisma.$transaction(async (tx) => {
+    // Claim the invitation first so it cannot be redeemed twice
+    const { count } = await tx.adminInvitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: new Date() },
+    });
+    if (count !== 1) {
+      return null;
+    }
+
+    const newUser = await tx.user.create({
+      data: {
+        email: invitation.email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        role: invitation.role,
+        // The invitation link was delivered to this address
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        cart: { create: {} },
+      },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        emailVerified: true,
+        createdAt: true,
+      },
+    });
+
+    await tx.adminInvitation.update({
+      where: { id: invitation.id },
+      data: { userId: newUser.id },
+    });
+
+    await AuditService.record(
+      {
+        action: "ADMIN_INVITATION_ACCEPTED",
+        actorId: newUser.id,
+        targetType: "AdminInvitation",
+        targetId: invitation.id,
+        metadata: { email: invitation.email, role: invitation.role },
+        req,
+      },
+      tx
+    );
+
+    return newUser;
+  });
+
+  if (!user) {
+    return res.status(400).json({ message: "Invalid or expired invitation" });
+  }
+
+  const tokens = await TokenService.createSession(user.id);
+
+  res.status(201).json({
+    message: "Invitation accepted successfully",
+    user,
+    ...tokens,
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getAllInvitations,
+  revokeInvitation,
+  acceptInvitation,
+};
@@ -1,13 +1,65 @@
 const prisma = require("../config/database");
 const asyncHandler = require("express-async-handler");
 const joi = require("joi");
+const {
+  effectivePrice,
+  variantName,
+  variantInclude,
+} = require("../utils/variants");
 
 // 📦 VALIDATION SCHEMAS
-const createOrderSchema = joi.object({
-  shippingAddress: joi.string().min(10).max(500).optional(),
-  notes: joi.string().max(500).optional(),
+const createOrderSchema = joi
+  .object({
+    addressId: joi.string().optional(),
+    shippingAddress: joi.string().min(10).max(500).optional(),
+    notes: joi.string().max(500).optional(),
+  })
+  .oxor("addressId", "shippingAddress");
+
+// Copy of a saved address stored on the order, so later edits to the
+// address book do not change past orders
+const snapshotAddress = (address) => ({
+  fullName: address.fullName,
+  line1: address.line1,
+  line2: address.line2,
+  city: address.city,
+  region: address.region,
+  postalCode: address.postalCode,
+  country: address.country,
+  phone: address.phone,
 });
 
+const formatAddress = (address) =>
+  [
+    address.fullName,
+    address.line1,
+    address.line2,
+    `${address.postalCode} ${address.city}`,
+    address.region,
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// Put stock back for a cancelled order item. Items whose variant has since
+// been deleted (sku kept, variantId cleared) have nothing to restore.
+const restoreInventory = async (tx, item) => {
+  if (!item.variantId && item.sku) {
+    return;
+  }
+
+  await tx.inventory.update({
+    where: item.variantId
+      ? { variantId: item.variantId }
+      : { productId: item.productId },
+    data: {
+      quantity: {
+        increment: item.quantity,
+      },
+    },
+  });
+};
+
 const updateOrderStatusSchema = joi.object({
   status: joi
     .string()
@@ -22,9 +74,30 @@ const createOrder = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { shippingAddress, notes } = value;
+  const { addressId, notes } = value;
+  let { shippingAddress } = value;
+  let shippingAddressData;
   const userId = req.user.id;
 
+  // Saved address: the given one, or the default shipping address when no
+  // free-text address was provided
+  if (!shippingAddress) {
+    const address = await prisma.address.findFirst({
+      where: addressId
+        ? { id: addressId, userId }
+        : { userId, isDefaultShipping: true },
+    });
+
+    if (addressId && !address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    if (address) {
+      shippingAddressData = snapshotAddress(address);
+      shippingAddress = formatAddress(address);
+    }
+  }
+
   // Get user's cart with items
   const cart = await prisma.cart.findUnique({
     where: { userId },
@@ -34,6 +107,9 @@ const createOrder = asyncHandler(async (req, res) => {
           product: {
             include: { inventory: true },
           },
+          variant: {
+            include: variantInclude,
+          },
         },
       },
     },
@@ -57,20 +133,39 @@ const createOrder = asyncHandler(async (req, res) => {
       continue;
     }
 
-    if (item.product.inventory.quantity < item.quantity) {
+    if (item.variant && !item.variant.isActive) {
+      unavailableItems.push({
+        productName: item.product.name,
+        sku: item.variant.sku,
+        reason: "Variant is no longer available",
+      });
+      continue;
+    }
+
+    const stock =
+      (item.variant ? item.variant.inventory : item.product.inventory)
+        ?.quantity ?? 0;
+    if (stock < item.quantity) {
       unavailableItems.push({
         productName: item.product.name,
-        reason: `Only ${item.product.inventory.quantity} items available, but ${item.quantity} requested`,
+        ...(item.variant && { sku: item.variant.sku }),
+        reason: `Only ${stock} items available, but ${item.quantity} requested`,
       });
       continue;
     }
 
-    // Prepare order item
-    const itemTotal = parseFloat(item.product.price) * item.quantity;
+    // Prepare order item, keeping the variant details as they are now
+    const price = effectivePrice(item.product, item.variant);
+    const itemTotal = parseFloat(price) * item.quantity;
     orderItems.push({
       productId: item.productId,
       quantity: item.quantity,
-      price: item.product.price,
+      price,
+      ...(item.variant && {
+        variantId: item.variant.id,
+        sku: item.variant.sku,
+        variantName: variantName(item.variant),
+      }),
     });
     totalAmount += itemTotal;
   }
@@ -95,6 +190,7 @@ const createOrder = asyncHandler(async (req, res) => {
         totalAmount,
         status: "PENDING",
         shippingAddress,
+        shippingAddressData,
         notes,
         items: {
           create: orderItems,
@@ -115,21 +211,18 @@ const createOrder = asyncHandler(async (req, res) => {
       },
     });
 
-    // Update inventory for each item
-    for (const item of cart.items) {
-      if (
-        item.product.isActive &&
-        item.product.inventory.quantity >= item.quantity
-      ) {
-        await tx.inventory.update({
-          where: { productId: item.productId },
-          data: {
-            quantity: {
-              decrement: item.quantity,
-            },
+    // Update inventory for each ordered item
+    for (const item of orderItems) {
+      await tx.inventory.update({
+        where: item.variantId
+          ? { variantId: item.variantId }
+          : { productId: item.productId },
+        data: {
+          quantity: {
+            decrement: item.quantity,
           },
-        });
-      }
+        },
+      });
     }
 
     // Clear the cart
@@ -264,14 +357,7 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
     // Restore inventory
     for (const item of order.items) {
-      await tx.inventory.update({
-        where: { productId: item.productId },
-        data: {
-          quantity: {
-            increment: item.quantity,
-          },
-        },
-      });
+      await restoreInventory(tx, item);
     }
   });
 
@@ -369,14 +455,7 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
 
       // Restore inventory
       for (const item of order.items) {
-        await tx.inventory.update({
-          where: { productId: item.productId },
-          data: {
-            quantity: {
-              increment: item.quantity,
-            },
-          },
-        });
+        await restoreInventory(tx, item);
       }
     });
   } else {
@@ -1,13 +1,82 @@
 const prisma = require("../config/database");
 const asyncHandler = require("express-async-handler");
 const CacheService = require("../services/CacheService");
+const CategoryService = require("../services/CategoryService");
+const SearchService = require("../services/SearchService");
+const FacetService = require("../services/FacetService");
+const SuggestService = require("../services/SuggestService");
+const SlugService = require("../services/SlugService");
+const AttributeService = require("../services/AttributeService");
+const RecommendationService = require("../services/RecommendationService");
+const StorageService = require("../services/StorageService");
+const { buildProductWhere } = require("../utils/productFilters");
+const { summarizeVariants, variantInclude } = require("../utils/variants");
 const {
   createProductSchema,
   updateProductSchema,
   productQuerySchema,
   updateInventorySchema,
+  suggestQuerySchema,
+  relatedQuerySchema,
 } = require("../validations/productValidation");
 
+// Active variants, enough to summarize price range and availability
+const variantSummarySelect = {
+  where: { isActive: true },
+  select: {
+    price: true,
+    isActive: true,
+    inventory: { select: { quantity: true } },
+  },
+};
+
+// Fields returned by the product listing endpoints
+const productListSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  price: true,
+  isActive: true,
+  imageUrl: true,
+  avgRating: true,
+  reviewCount: true,
+  categoryId: true,
+  category: {
+    select: { id: true, name: true },
+  },
+  inventory: {
+    select: { quantity: true },
+  },
+  variants: variantSummarySelect,
+};
+
+// Fetches one page of products in the order of ids
+const findProductsInOrder = async (ids) => {
+  const products = await prisma.product.findMany({
+    where: { id: { in: ids } },
+    select: productListSelect,
+  });
+  return SearchService.orderByIds(products, ids);
+};
+
+// Adds highlighted snippets of the search terms to each product
+const withHighlights = async (search, products) => {
+  const highlights = await SearchService.highlights(
+    search,
+    products.map((product) => product.id)
+  );
+  return products.map((product) => ({
+    ...product,
+    highlight: highlights.get(product.id) || null,
+  }));
+};
+
+const withVariantSummary = ({ variants, ...product }) => ({
+  ...product,
+  ...summarizeVariants({ ...product, variants }),
+});
+
 // 🔥 CREATE PRODUCT
 const createProduct = asyncHandler(async (req, res) => {
   const { error, value } = createProductSchema.validate(req.body);
@@ -23,6 +92,9 @@ const createProduct = asyncHandler(async (req, res) => {
     categoryId,
     isActive,
     initialQuantity,
+    slug,
+    sku,
+    attributes,
   } = value;
 
   // Check if category exists
@@ -35,17 +107,35 @@ const createProduct = asyncHandler(async (req, res) => {
     if (!category) {
       return res.status(404).json({ message: "Category not found" });
     }
+  }
+
+  // Typed attributes must match the definitions of the category tree
+  const definitions = await AttributeService.definitionsFor(categoryId);
+  const attributeValues = AttributeService.validate(definitions, attributes);
+  if (attributeValues.error) {
+    return res.status(400).json({ message: attributeValues.error });
+  }
 
-    // Cache the category
-    await CacheService.setCategory(categoryId, category);
+  if (sku && (await prisma.product.findUnique({ where: { sku } }))) {
+    return res.status(409).json({ message: "This SKU is already in use" });
   }
 
+  // A chosen slug must be free; a generated one avoids collisions itself
+  if (slug && (await SlugService.isTaken("product", slug))) {
+    return res.status(409).json({ message: "This slug is already in use" });
+  }
+  const productSlug = slug || (await SlugService.generate("product", name));
+
   // Create product with inventory in a transaction
   const result = await prisma.$transaction(async (tx) => {
+    await SlugService.claim("product", productSlug, tx);
+
     // Create the product
     const product = await tx.product.create({
       data: {
         name,
+        slug: productSlug,
+        sku,
         description,
         price,
         imageUrl,
@@ -67,14 +157,14 @@ const createProduct = asyncHandler(async (req, res) => {
       },
     });
 
+    await AttributeService.save(tx, product.id, attributeValues);
+
     return { ...product, inventory };
   });
 
-  // Cache the new product
-  await CacheService.setProduct(result.id, result);
-
   // Invalidate related caches
   await CacheService.invalidateAllProductCaches();
+  await SuggestService.safely(() => SuggestService.indexProduct(result));
 
   res.status(201).json({
     message: "Product created successfully",
@@ -82,83 +172,63 @@ const createProduct = asyncHandler(async (req, res) => {
   });
 });
 
-// 📋 GET ALL PRODUCTS (with filtering, pagination, search)
-const getAllProducts = asyncHandler(async (req, res) => {
-  const { error, value } = productQuerySchema.validate(req.query);
-  if (error) {
-    return res.status(400).json({ message: error.details[0].message });
-  }
+// Unrated products sort last either way; ties go to the most reviewed
+const productOrderBy = (sortBy, sortOrder) =>
+  sortBy === "rating"
+    ? [
+        { avgRating: { sort: sortOrder, nulls: "last" } },
+        { reviewCount: "desc" },
+      ]
+    : { [sortBy]: sortOrder };
 
-  const {
-    page,
-    limit,
-    categoryId,
-    search,
-    minPrice,
-    maxPrice,
-    isActive,
-    sortBy,
-    sortOrder,
-  } = value;
-
-  // Try to get from cache first
-  const cachedResult = await CacheService.getProductsList(value);
-  if (cachedResult) {
-    return res.status(200).json(cachedResult);
-  }
+// One page of the product listing for validated query params
+const listProducts = async (params, matchedIds) => {
+  const { page, limit, search, sortBy, sortOrder } = params;
 
   // Build where clause
-  const where = {
-    isActive,
-    ...(categoryId && { categoryId }),
-    ...(search && {
-      OR: [
-        { name: { contains: search, mode: "insensitive" } },
-        { description: { contains: search, mode: "insensitive" } },
-      ],
-    }),
-    ...(minPrice || maxPrice
-      ? {
-          price: {
-            ...(minPrice && { gte: minPrice }),
-            ...(maxPrice && { lte: maxPrice }),
-          },
-        }
-      : {}),
-  };
+  const where = buildProductWhere({ ...params, matchedIds });
 
   // Calculate pagination
   const skip = (page - 1) * limit;
 
   // Execute queries
-  const [products, totalCount] = await Promise.all([
-    prisma.product.findMany({
+  let products;
+  let totalCount;
+
+  if (sortBy === "relevance") {
+    // Apply the other filters, then keep the search ranking order
+    const filtered = await prisma.product.findMany({
       where,
-      skip,
-      take: limit,
-      orderBy: { [sortBy]: sortOrder },
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        price: true,
-        isActive: true,
-        imageUrl: true,
-        category: {
-          select: { name: true },
-        },
-        inventory: {
-          select: { quantity: true },
-        },
-      },
-    }),
-    prisma.product.count({ where }),
-  ]);
+      select: { id: true },
+    });
+    const filteredIds = new Set(filtered.map((product) => product.id));
+    const orderedIds = matchedIds.filter((id) => filteredIds.has(id));
+
+    totalCount = orderedIds.length;
+    products = await findProductsInOrder(orderedIds.slice(skip, skip + limit));
+  } else {
+    [products, totalCount] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: productOrderBy(sortBy, sortOrder),
+        select: productListSelect,
+      }),
+      prisma.product.count({ where }),
+    ]);
+  }
+
+  if (search) {
+    products = await withHighlights(search, products);
+  }
 
   const totalPages = Math.ceil(totalCount / limit);
 
-  const result = {
-    products,
+  return {
+    products: await CategoryService.withBreadcrumbs(
+      products.map(withVariantSummary)
+    ),
     pagination: {
       currentPage: page,
       totalPages,
@@ -168,19 +238,90 @@ const getAllProducts = asyncHandler(async (req, res) => {
       hasPrev: page > 1,
     },
   };
+};
 
-  // Cache the result
-  await CacheService.setProductsList(value, result);
+// Facets for the applied filters, cached apart from the page of results.
+// findMatchedIds resolves the full-text matches when a search is applied.
+const getFacets = async (params, findMatchedIds) => {
+  let facets = await CacheService.getProductFacets(params);
+
+  if (!facets) {
+    const matchedIds = await findMatchedIds();
+    facets = await FacetService.compute(
+      (except) => buildProductWhere({ ...params, matchedIds }, except),
+      (params.attributes || []).map((filter) => filter.key)
+    );
+
+    await CacheService.setProductFacets(params, facets);
+  }
+
+  return facets;
+};
+
+// 📋 GET ALL PRODUCTS (with filtering, pagination, search, facets)
+const getAllProducts = asyncHandler(async (req, res) => {
+  const { error, value } = productQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { search, isActive, facets } = value;
+
+  // Full-text matches, best first. Looked up at most once, and only when
+  // the results or facets are not cached.
+  let matchedIds;
+  const findMatchedIds = async () => {
+    if (matchedIds === undefined) {
+      matchedIds = search
+        ? await SearchService.rankedProductIds(search, { isActive })
+        : null;
+    }
+    return matchedIds;
+  };
+
+  // Try to get from cache first
+  let result = await CacheService.getProductsList(value);
+
+  if (!result) {
+    result = await listProducts(value, await findMatchedIds());
+
+    // Cache the result
+    await CacheService.setProductsList(value, result);
+  }
+
+  if (facets) {
+    result = { ...result, facets: await getFacets(value, findMatchedIds) };
+  }
 
   res.status(200).json(result);
 });
 
 // 🔍 GET SINGLE PRODUCT
+// Accepts the product id or its slug; old slugs redirect to the current one
 const getProductById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const { id: idOrSlug } = req.params;
 
-  // Try cache first
-  let product = await CacheService.getProduct(id);
+  // Try cache first (cached by id)
+  let product = await CacheService.getProduct(idOrSlug);
+  if (product) {
+    return res.status(200).json(product);
+  }
+
+  const found = await SlugService.resolve("product", idOrSlug);
+
+  if (!found) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  if (found.redirectTo) {
+    return res
+      .status(301)
+      .location(`/api/products/${found.redirectTo}`)
+      .json({ message: "Product has moved", slug: found.redirectTo });
+  }
+
+  const { id } = found;
+  product = await CacheService.getProduct(id);
 
   if (!product) {
     // Get from database
@@ -188,17 +329,44 @@ const getProductById = asyncHandler(async (req, res) => {
       where: { id },
       include: {
         category: {
-          select: { id: true, name: true },
+          select: { id: true, name: true, slug: true },
         },
         inventory: {
           select: { quantity: true },
         },
+        options: {
+          orderBy: { position: "asc" },
+          include: { values: { orderBy: { position: "asc" } } },
+        },
+        variants: {
+          orderBy: { position: "asc" },
+          include: variantInclude,
+        },
+        attributes: {
+          include: { definition: true },
+        },
+        images: {
+          orderBy: { position: "asc" },
+          select: {
+            id: true,
+            url: true,
+            sizes: true,
+            altText: true,
+            position: true,
+            isPrimary: true,
+            width: true,
+            height: true,
+          },
+        },
       },
     });
 
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
+    product = {
+      ...product,
+      attributes: AttributeService.format(product.attributes),
+      ...summarizeVariants(product),
+      breadcrumbs: await CategoryService.getBreadcrumbs(product.categoryId),
+    };
 
     // Cache the product
     await CacheService.setProduct(id, product);
@@ -216,7 +384,17 @@ const updateProduct = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { name, description, price, imageUrl, categoryId, isActive } = value;
+  const {
+    name,
+    description,
+    price,
+    imageUrl,
+    categoryId,
+    isActive,
+    slug,
+    sku,
+    attributes,
+  } = value;
 
   // Check if product exists
   const existingProduct = await prisma.product.findUnique({
@@ -238,36 +416,93 @@ const updateProduct = asyncHandler(async (req, res) => {
       if (!category) {
         return res.status(404).json({ message: "Category not found" });
       }
+    }
+  }
 
-      await CacheService.setCategory(categoryId, category);
+  // Attributes are checked against the (new) category; moving a product to
+  // another category drops the values that no longer apply
+  let attributeValues;
+  let applicableIds;
+  if (attributes || (categoryId && categoryId !== existingProduct.categoryId)) {
+    const definitions = await AttributeService.definitionsFor(
+      categoryId || existingProduct.categoryId
+    );
+    attributeValues = AttributeService.validate(
+      definitions,
+      attributes,
+      await AttributeService.currentKeys(id, definitions)
+    );
+    if (attributeValues.error) {
+      return res.status(400).json({ message: attributeValues.error });
     }
+    applicableIds = definitions.map((definition) => definition.id);
   }
 
-  const updatedProduct = await prisma.product.update({
-    where: { id },
-    data: {
-      ...(name && { name }),
-      ...(description !== undefined && { description }),
-      ...(price && { price }),
-      ...(imageUrl !== undefined && { imageUrl }),
-      ...(categoryId && { categoryId }),
-      ...(isActive !== undefined && { isActive }),
-    },
-    include: {
-      category: {
-        select: { id: true, name: true },
+  if (
+    sku &&
+    sku !== existingProduct.sku &&
+    (await prisma.product.findUnique({ where: { sku } }))
+  ) {
+    return res.status(409).json({ message: "This SKU is already in use" });
+  }
+
+  // A new slug comes from the request or, on a rename, from the new name
+  let newSlug;
+  if (slug && slug !== existingProduct.slug) {
+    if (await SlugService.isTaken("product", slug, id)) {
+      return res.status(409).json({ message: "This slug is already in use" });
+    }
+    newSlug = slug;
+  } else if (!slug && name && name !== existingProduct.name) {
+    newSlug = await SlugService.generate("product", name, id);
+  }
+
+  const updatedProduct = await prisma.$transaction(async (tx) => {
+    if (newSlug) {
+      // The old slug keeps working as a redirect
+      await SlugService.recordChange(
+        "product",
+        id,
+        existingProduct.slug,
+        newSlug,
+        tx
+      );
+    }
+
+    if (attributeValues) {
+      await AttributeService.save(tx, id, attributeValues, applicableIds);
+    }
+
+    return tx.product.update({
+      where: { id },
+      data: {
+        ...(name && { name }),
+        ...(newSlug && { slug: newSlug }),
+        ...(sku && { sku }),
+        ...(description !== undefined && { description }),
+        ...(price && { price }),
+        ...(imageUrl !== undefined && { imageUrl }),
+        ...(categoryId && { categoryId }),
+        ...(isActive !== undefined && { isActive }),
       },
-      inventory: {
-        select: { quantity: true },
+      include: {
+        category: {
+          select: { id: true, name: true },
+        },
+        inventory: {
+          select: { quantity: true },
+        },
       },
-    },
+    });
   });
 
-  // Update cache
-  await CacheService.setProduct(id, updatedProduct);
-
-  // Invalidate related caches
+  // The detail cache also holds options and variants, so rebuild it on the
+  // next read instead of overwriting it here
+  await CacheService.invalidateProduct(id);
   await CacheService.invalidateAllProductCaches();
+  await SuggestService.safely(() =>
+    SuggestService.indexProduct(updatedProduct)
+  );
 
   res.status(200).json({
     message: "Product updated successfully",
@@ -281,20 +516,27 @@ const deleteProduct = asyncHandler(async (req, res) => {
 
   const product = await prisma.product.findUnique({
     where: { id },
+    include: { images: { select: { storageKeys: true } } },
   });
 
   if (!product) {
     return res.status(404).json({ message: "Product not found" });
   }
 
-  // Delete product (cascade will handle inventory)
+  // Delete product (cascade will handle inventory and image rows)
   await prisma.product.delete({
     where: { id },
   });
 
+  // Then remove the stored image files
+  await StorageService.deleteMany(
+    product.images.flatMap((image) => image.storageKeys)
+  );
+
   // Invalidate caches
   await CacheService.invalidateProduct(id);
   await CacheService.invalidateAllProductCaches();
+  await SuggestService.safely(() => SuggestService.removeProduct(id));
 
   res.status(200).json({ message: "Product deleted successfully" });
 });
@@ -340,7 +582,9 @@ const updateInventory = asyncHandler(async (req, res) => {
 // 📊 GET PRODUCTS BY CATEGORY
 const getProductsByCategory = asyncHandler(async (req, res) => {
   const { categoryId } = req.params;
-  const { page = 1, limit = 10 } = req.query;
+  const { page = 1, limit = 10, includeDescendants } = req.query;
+  // ?includeDescendants=true also lists products of all subcategories
+  const scope = includeDescendants === "true" ? "tree" : "own";
 
   // Validate pagination
   const pageNum = parseInt(page);
@@ -354,7 +598,8 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
   const cachedResult = await CacheService.getCategoryProducts(
     categoryId,
     pageNum,
-    limitNum
+    limitNum,
+    scope
   );
   if (cachedResult) {
     return res.status(200).json(cachedResult);
@@ -370,16 +615,19 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
     if (!category) {
       return res.status(404).json({ message: "Category not found" });
     }
-
-    await CacheService.setCategory(categoryId, category);
   }
 
   const skip = (pageNum - 1) * limitNum;
 
+  const categoryFilter =
+    scope === "tree"
+      ? { in: await CategoryService.getDescendantIds(categoryId) }
+      : categoryId;
+
   const [products, totalCount] = await Promise.all([
     prisma.product.findMany({
       where: {
-        categoryId,
+        categoryId: categoryFilter,
         isActive: true,
       },
       skip,
@@ -389,11 +637,12 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
         inventory: {
           select: { quantity: true },
         },
+        variants: variantSummarySelect,
       },
     }),
     prisma.product.count({
       where: {
-        categoryId,
+        categoryId: categoryFilter,
         isActive: true,
       },
     }),
@@ -403,7 +652,10 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
 
   const result = {
     category: category.name,
-    products,
+    breadcrumbs: await CategoryService.getBreadcrumbs(categoryId),
+    products: await CategoryService.withBreadcrumbs(
+      products.map(withVariantSummary)
+    ),
     pagination: {
       currentPage: pageNum,
       totalPages,
@@ -413,14 +665,21 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
   };
 
   // Cache the result
-  await CacheService.setCategoryProducts(categoryId, pageNum, limitNum, result);
+  await CacheService.setCategoryProducts(
+    categoryId,
+    pageNum,
+    limitNum,
+    result,
+    600,
+    scope
+  );
 
   res.status(200).json(result);
 });
 
 // 🔍 SEARCH PRODUCTS
 const searchProducts = asyncHandler(async (req, res) => {
-  const { q: query, page = 1, limit = 10 } = req.query;
+  const { q: query, page = 1, limit = 10, facets } = req.query;
 
   if (!query || query.trim().length < 2) {
     return res
@@ -431,6 +690,38 @@ const searchProducts = asyncHandler(async (req, res) => {
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
 
+  // Ranked by relevance: name matches weigh more than category, then
+  // description; near-miss spellings of the name still match
+  let matchedIds;
+  const findMatchedIds = async () => {
+    if (matchedIds === undefined) {
+      matchedIds = await SearchService.rankedProductIds(query.trim(), {
+        isActive: true,
+      });
+    }
+    return matchedIds;
+  };
+
+  // Searches that found something feed the popular-query suggestions;
+  // later pages of the same search are not counted again
+  const recordSearch = async (result) => {
+    if (pageNum === 1 && result.pagination.totalCount > 0) {
+      await SuggestService.safely(() => SuggestService.recordQuery(query));
+    }
+  };
+
+  // ?facets=true adds facet counts for the matching products
+  const withSearchFacets = async (result) =>
+    facets === "true"
+      ? {
+          ...result,
+          facets: await getFacets(
+            { search: query.trim(), isActive: true },
+            findMatchedIds
+          ),
+        }
+      : result;
+
   // Try cache first
   const cachedResult = await CacheService.getSearchResults(
     query.trim(),
@@ -438,47 +729,27 @@ const searchProducts = asyncHandler(async (req, res) => {
     limitNum
   );
   if (cachedResult) {
-    return res.status(200).json(cachedResult);
+    await recordSearch(cachedResult);
+    return res.status(200).json(await withSearchFacets(cachedResult));
   }
 
   const skip = (pageNum - 1) * limitNum;
 
-  const searchCondition = {
-    isActive: true,
-    OR: [
-      { name: { contains: query.trim(), mode: "insensitive" } },
-      { description: { contains: query.trim(), mode: "insensitive" } },
-      {
-        category: {
-          name: { contains: query.trim(), mode: "insensitive" },
-        },
-      },
-    ],
-  };
+  await findMatchedIds();
+  const totalCount = matchedIds.length;
 
-  const [products, totalCount] = await Promise.all([
-    prisma.product.findMany({
-      where: searchCondition,
-      skip,
-      take: limitNum,
-      orderBy: { createdAt: "desc" },
-      include: {
-        category: {
-          select: { id: true, name: true },
-        },
-        inventory: {
-          select: { quantity: true },
-        },
-      },
-    }),
-    prisma.product.count({ where: searchCondition }),
-  ]);
+  const products = await withHighlights(
+    query.trim(),
+    await findProductsInOrder(matchedIds.slice(skip, skip + limitNum))
+  );
 
   const totalPages = Math.ceil(totalCount / limitNum);
 
   const result = {
     query,
-    products,
+    products: await CategoryService.withBreadcrumbs(
+      products.map(withVariantSummary)
+    ),
     pagination: {
       currentPage: pageNum,
       totalPages,
@@ -489,8 +760,56 @@ const searchProducts = asyncHandler(async (req, res) => {
 
   // Cache the result
   await CacheService.setSearchResults(query.trim(), pageNum, limitNum, result);
+  await recordSearch(result);
 
-  res.status(200).json(result);
+  res.status(200).json(await withSearchFacets(result));
+});
+
+// ⚡ TYPEAHEAD SUGGESTIONS
+const suggestProducts = asyncHandler(async (req, res) => {
+  const { error, value } = suggestQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const suggestions = await SuggestService.suggest(value.q, value.limit);
+
+  res.status(200).json({ query: value.q, ...suggestions });
+});
+
+// 🛍️ FREQUENTLY BOUGHT TOGETHER
+const getRelatedProducts = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { error, value } = relatedQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id },
+    select: { id: true, categoryId: true },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  // Precomputed by the recommendation job; only the page is read here
+  const [candidates, refreshedAt] = await Promise.all([
+    RecommendationService.candidates(product, value.limit),
+    RecommendationService.refreshedAt(),
+  ]);
+  const reasons = new Map(candidates.map((c) => [c.id, c.reason]));
+
+  const products = (await findProductsInOrder([...reasons.keys()]))
+    .filter((related) => related.isActive)
+    .slice(0, value.limit)
+    .map((related) => ({
+      ...withVariantSummary(related),
+      reason: reasons.get(related.id),
+    }));
+
+  res.status(200).json({ productId: id, products, refreshedAt });
 });
 
 module.exports = {
@@ -502,4 +821,6 @@ module.exports = {
   updateInventory,
   getProductsByCategory,
   searchProducts,
+  suggestProducts,
+  getRelatedProducts,
 };
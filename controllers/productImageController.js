@@ -0,0 +1,280 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const CacheService = require("../services/CacheService");
+const ImageService = require("../services/ImageService");
+const StorageService = require("../services/StorageService");
+const {
+  uploadImagesSchema,
+  updateImageSchema,
+  reorderImagesSchema,
+} = require("../validations/productValidation");
+
+const imageSelect = {
+  id: true,
+  url: true,
+  sizes: true,
+  altText: true,
+  position: true,
+  isPrimary: true,
+  width: true,
+  height: true,
+};
+
+// Keeps exactly one primary image (the first one when none is marked) and
+// mirrors it into Product.imageUrl for the listing endpoints
+const syncPrimaryImage = async (tx, productId) => {
+  const images = await tx.productImage.findMany({
+    where: { productId },
+    orderBy: { position: "asc" },
+  });
+
+  const primary = images.find((image) => image.isPrimary) || images[0];
+
+  if (primary && !primary.isPrimary) {
+    await tx.productImage.update({
+      where: { id: primary.id },
+      data: { isPrimary: true },
+    });
+  }
+
+  await tx.product.update({
+    where: { id: productId },
+    data: {
+      imageUrl: primary ? primary.sizes?.large || primary.url : null,
+    },
+  });
+};
+
+const invalidateProductCaches = async (productId) => {
+  await CacheService.invalidateProduct(productId);
+  await CacheService.invalidateAllProductCaches();
+};
+
+// 🖼️ GET PRODUCT IMAGES
+const getProductImages = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: {
+      images: {
+        orderBy: { position: "asc" },
+        select: imageSelect,
+      },
+    },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  res.status(200).json(product.images);
+});
+
+// 📤 UPLOAD PRODUCT IMAGES
+const uploadProductImages = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+  const { error, value } = uploadImagesSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ message: "No images uploaded" });
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  // Check every file before storing any of them
+  const metadata = await Promise.all(files.map(ImageService.inspect));
+  const invalidIndex = metadata.findIndex((m) => !m);
+  if (invalidIndex !== -1) {
+    return res.status(400).json({
+      message: `${files[invalidIndex].originalname} is not a supported image`,
+    });
+  }
+
+  const stored = [];
+  let images;
+  try {
+    for (const [i, file] of files.entries()) {
+      stored.push(
+        await ImageService.store(file, `products/${productId}`, metadata[i])
+      );
+    }
+
+    images = await prisma.$transaction(async (tx) => {
+      const last = await tx.productImage.findFirst({
+        where: { productId },
+        orderBy: { position: "desc" },
+      });
+      const start = last ? last.position + 1 : 0;
+
+      const created = [];
+      for (const [i, image] of stored.entries()) {
+        created.push(
+          await tx.productImage.create({
+            data: {
+              productId,
+              url: image.url,
+              sizes: image.sizes,
+              width: image.width,
+              height: image.height,
+              storageKeys: image.storageKeys,
+              altText: value.altText,
+              position: start + i,
+            },
+            select: imageSelect,
+          })
+        );
+      }
+
+      await syncPrimaryImage(tx, productId);
+      return created;
+    });
+  } catch (err) {
+    // Do not leave orphaned files behind, whether storing a later file or
+    // the transaction failed
+    await StorageService.deleteMany(stored.flatMap((i) => i.storageKeys));
+    throw err;
+  }
+
+  await invalidateProductCaches(productId);
+
+  res.status(201).json({
+    message: "Images uploaded successfully",
+    images,
+  });
+});
+
+// ✏️ UPDATE PRODUCT IMAGE (alt text, primary)
+const updateProductImage = asyncHandler(async (req, res) => {
+  const { id: productId, imageId } = req.params;
+  const { error, value } = updateImageSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const image = await prisma.productImage.findFirst({
+    where: { id: imageId, productId },
+  });
+
+  if (!image) {
+    return res.status(404).json({ message: "Image not found" });
+  }
+
+  const updatedImage = await prisma.$transaction(async (tx) => {
+    if (value.isPrimary) {
+      await tx.productImage.updateMany({
+        where: { productId, isPrimary: true },
+        data: { isPrimary: false },
+      });
+    }
+
+    const updated = await tx.productImage.update({
+      where: { id: imageId },
+      data: {
+        ...(value.altText !== undefined && { altText: value.altText || null }),
+        ...(value.isPrimary && { isPrimary: true }),
+      },
+      select: imageSelect,
+    });
+
+    await syncPrimaryImage(tx, productId);
+    return updated;
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({
+    message: "Image updated successfully",
+    image: updatedImage,
+  });
+});
+
+// 🔀 REORDER PRODUCT IMAGES
+const reorderProductImages = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+  const { error, value } = reorderImagesSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const images = await prisma.productImage.findMany({
+    where: { productId },
+    select: { id: true },
+  });
+
+  const currentIds = new Set(images.map((image) => image.id));
+  if (
+    value.imageIds.length !== currentIds.size ||
+    !value.imageIds.every((id) => currentIds.has(id))
+  ) {
+    return res
+      .status(400)
+      .json({ message: "imageIds must list every image of the product" });
+  }
+
+  const reordered = await prisma.$transaction(async (tx) => {
+    for (const [position, id] of value.imageIds.entries()) {
+      await tx.productImage.update({
+        where: { id },
+        data: { position },
+      });
+    }
+
+    return tx.productImage.findMany({
+      where: { productId },
+      orderBy: { position: "asc" },
+      select: imageSelect,
+    });
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({
+    message: "Images reordered successfully",
+    images: reordered,
+  });
+});
+
+// 🗑️ DELETE PRODUCT IMAGE
+const deleteProductImage = asyncHandler(async (req, res) => {
+  const { id: productId, imageId } = req.params;
+
+  const image = await prisma.productImage.findFirst({
+    where: { id: imageId, productId },
+  });
+
+  if (!image) {
+    return res.status(404).json({ message: "Image not found" });
+  }
+
+  // The next image becomes primary when the primary one is removed
+  await prisma.$transaction(async (tx) => {
+    await tx.productImage.delete({
+      where: { id: imageId },
+    });
+    await syncPrimaryImage(tx, productId);
+  });
+
+  await StorageService.deleteMany(image.storageKeys);
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({ message: "Image deleted successfully" });
+});
+
+module.exports = {
+  getProductImages,
+  uploadProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage,
+};
@@ -0,0 +1,121 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const AuditService = require("../services/AuditService");
+const CacheService = require("../services/CacheService");
+const SuggestService = require("../services/SuggestService");
+const ProductImportService = require("../services/ProductImportService");
+const {
+  importQuerySchema,
+  exportQuerySchema,
+} = require("../validations/productValidation");
+const { toCsv, parseCsv } = require("../utils/csv");
+
+// JSON bodies are an array of rows or { products: [...] }; anything else
+// arrives as text and is read as CSV
+const readImportRows = (req) => {
+  if (typeof req.body === "string") {
+    return parseCsv(req.body);
+  }
+  if (Array.isArray(req.body)) {
+    return req.body;
+  }
+  if (req.body && Array.isArray(req.body.products)) {
+    return req.body.products;
+  }
+  return null;
+};
+
+// 📥 IMPORT PRODUCTS (CSV or JSON)
+const importProducts = asyncHandler(async (req, res) => {
+  const { error, value } = importQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const rows = readImportRows(req);
+  if (!rows) {
+    return res.status(400).json({
+      message: "Send a CSV file or a JSON array of products",
+    });
+  }
+  if (rows.length === 0) {
+    return res.status(400).json({ message: "No products to import" });
+  }
+  if (rows.length > ProductImportService.maxRows) {
+    return res.status(400).json({
+      message: `A single import is limited to ${ProductImportService.maxRows} products`,
+    });
+  }
+  if (rows.some((row) => !row || typeof row !== "object")) {
+    return res.status(400).json({ message: "Every product must be an object" });
+  }
+
+  const report = await ProductImportService.import(rows, {
+    dryRun: value.dryRun,
+  });
+
+  if (!value.dryRun && report.results.length > 0) {
+    await CacheService.invalidateAllProductCaches();
+
+    const ids = report.results.map((result) => result.id);
+    for (const id of ids) {
+      await CacheService.invalidateProduct(id);
+    }
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, name: true, slug: true, isActive: true },
+    });
+    for (const product of products) {
+      await SuggestService.safely(() => SuggestService.indexProduct(product));
+    }
+
+    await AuditService.record({
+      action: "PRODUCTS_IMPORTED",
+      actorId: req.user.id,
+      metadata: report.summary,
+      req,
+    });
+  }
+
+  res.status(200).json(report);
+});
+
+// 📤 EXPORT PRODUCT CATALOG (CSV or JSON)
+const exportProducts = asyncHandler(async (req, res) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const rows = await ProductImportService.exportRows();
+
+  await AuditService.record({
+    action: "PRODUCT_CATALOG_EXPORTED",
+    actorId: req.user.id,
+    metadata: { format: value.format, rows: rows.length },
+    req,
+  });
+
+  if (value.format === "json") {
+    res.set("Content-Disposition", 'attachment; filename="products.json"');
+    return res.status(200).json(rows);
+  }
+
+  const csv = toCsv(
+    rows,
+    ProductImportService.exportColumns(rows).map((column) => ({
+      header: column,
+      value: (row) => row[column],
+    }))
+  );
+
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", 'attachment; filename="products.csv"');
+  res.status(200).send(csv);
+});
+
+module.exports = {
+  importProducts,
+  exportProducts,
+};
@@ -0,0 +1,390 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const AuditService = require("../services/AuditService");
+const CacheService = require("../services/CacheService");
+const ReviewService = require("../services/ReviewService");
+const { hasPermission } = require("../config/permissions");
+const {
+  createReviewSchema,
+  updateReviewSchema,
+  reviewQuerySchema,
+  moderationQuerySchema,
+  moderateReviewSchema,
+  replyReviewSchema,
+} = require("../validations/reviewValidation");
+
+// Product detail and listings carry the rating, so both caches go stale
+const invalidateRatingCaches = async (productId) => {
+  await CacheService.invalidateProduct(productId);
+  await CacheService.invalidateAllProductCaches();
+};
+
+// ⭐ GET PRODUCT REVIEWS (approved only)
+const getProductReviews = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+  const { error, value } = reviewQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { page, limit, rating, verifiedOnly, sortBy } = value;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  const where = {
+    productId,
+    status: "APPROVED",
+    ...(rating && { rating }),
+    ...(verifiedOnly && { verifiedPurchase: true }),
+  };
+  const skip = (page - 1) * limit;
+
+  const [reviews, totalCount, summary] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: ReviewService.orderBy(sortBy),
+      select: ReviewService.select,
+    }),
+    prisma.review.count({ where }),
+    ReviewService.summary(productId),
+  ]);
+
+  res.status(200).json({
+    summary,
+    reviews: reviews.map((review) => ReviewService.format(review)),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit,
+    },
+  });
+});
+
+// ✍️ CREATE REVIEW
+const createReview = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+  const { error, value } = createReviewSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { isActive: true },
+  });
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  const existing = await prisma.review.findUnique({
+    where: { productId_userId: { productId, userId } },
+  });
+
+  if (existing) {
+    return res
+      .status(409)
+      .json({ message: "You have already reviewed this product" });
+  }
+
+  const review = await prisma.review.create({
+    data: {
+      ...value,
+      productId,
+      userId,
+      verifiedPurchase: await ReviewService.isVerifiedPurchase(
+        userId,
+        productId
+      ),
+    },
+    select: ReviewService.select,
+  });
+
+  res.status(201).json({
+    message: "Review submitted and awaiting moderation",
+    review: ReviewService.format(review),
+  });
+});
+
+// ✏️ UPDATE MY REVIEW (goes back to moderation)
+const updateReview = asyncHandler(async (req, res) => {
+  const { id: productId, reviewId } = req.params;
+  const { error, value } = updateReviewSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const review = await prisma.review.findFirst({
+    where: { id: reviewId, productId, userId },
+  });
+
+  if (!review) {
+    return res.status(404).json({ message: "Review not found" });
+  }
+
+  const updatedReview = await prisma.$transaction(async (tx) => {
+    const updated = await tx.review.update({
+      where: { id: reviewId },
+      data: {
+        ...value,
+        status: "PENDING",
+        // The product may have been delivered since the review was written
+        verifiedPurchase: await ReviewService.isVerifiedPurchase(
+          userId,
+          productId,
+          tx
+        ),
+      },
+      select: ReviewService.select,
+    });
+
+    if (review.status === "APPROVED") {
+      await ReviewService.refreshProductRating(productId, tx);
+    }
+
+    return updated;
+  });
+
+  if (review.status === "APPROVED") {
+    await invalidateRatingCaches(productId);
+  }
+
+  res.status(200).json({
+    message: "Review updated and awaiting moderation",
+    review: ReviewService.format(updatedReview),
+  });
+});
+
+// 🗑️ DELETE REVIEW (author or moderator)
+const deleteReview = asyncHandler(async (req, res) => {
+  const { id: productId, reviewId } = req.params;
+
+  const review = await prisma.review.findFirst({
+    where: { id: reviewId, productId },
+  });
+
+  const isModerator = hasPermission(req.user.role, "reviews:moderate");
+  if (!review || (review.userId !== req.user.id && !isModerator)) {
+    return res.status(404).json({ message: "Review not found" });
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.review.delete({ where: { id: reviewId } });
+
+    if (review.status === "APPROVED") {
+      await ReviewService.refreshProductRating(productId, tx);
+    }
+  });
+
+  if (review.userId !== req.user.id) {
+    await AuditService.record({
+      action: "REVIEW_DELETED",
+      actorId: req.user.id,
+      targetType: "Review",
+      targetId: reviewId,
+      metadata: { productId, authorId: review.userId },
+      req,
+    });
+  }
+
+  if (review.status === "APPROVED") {
+    await invalidateRatingCaches(productId);
+  }
+
+  res.status(200).json({ message: "Review deleted successfully" });
+});
+
+// 📝 GET MY REVIEWS (any status)
+const getMyReviews = asyncHandler(async (req, res) => {
+  const reviews = await prisma.review.findMany({
+    where: { userId: req.user.id },
+    orderBy: { createdAt: "desc" },
+    select: {
+      ...ReviewService.select,
+      product: { select: { id: true, name: true, slug: true } },
+    },
+  });
+
+  res.status(200).json(reviews.map((review) => ReviewService.format(review)));
+});
+
+// 🛡️ GET MODERATION QUEUE
+const getReviewsForModeration = asyncHandler(async (req, res) => {
+  const { error, value } = moderationQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { page, limit, status, productId } = value;
+  const where = {
+    status,
+    ...(productId && { productId }),
+  };
+  const skip = (page - 1) * limit;
+
+  const [reviews, totalCount] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      skip,
+      take: limit,
+      // Oldest first, so the queue is worked in submission order
+      orderBy: { createdAt: "asc" },
+      select: {
+        ...ReviewService.select,
+        user: {
+          select: { id: true, email: true, firstName: true, lastName: true },
+        },
+        product: { select: { id: true, name: true, slug: true } },
+      },
+    }),
+    prisma.review.count({ where }),
+  ]);
+
+  res.status(200).json({
+    reviews,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit,
+    },
+  });
+});
+
+// ✅ APPROVE OR HIDE REVIEW
+const moderateReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { error, value } = moderateReviewSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+  });
+
+  if (!review) {
+    return res.status(404).json({ message: "Review not found" });
+  }
+
+  if (review.status === value.status) {
+    return res
+      .status(400)
+      .json({ message: `Review is already ${value.status.toLowerCase()}` });
+  }
+
+  const updatedReview = await prisma.$transaction(async (tx) => {
+    const updated = await tx.review.update({
+      where: { id: reviewId },
+      data: { status: value.status },
+      select: ReviewService.select,
+    });
+
+    await ReviewService.refreshProductRating(review.productId, tx);
+
+    await AuditService.record(
+      {
+        action:
+          value.status === "APPROVED" ? "REVIEW_APPROVED" : "REVIEW_HIDDEN",
+        actorId: req.user.id,
+        targetType: "Review",
+        targetId: reviewId,
+        metadata: { productId: review.productId, previous: review.status },
+        req,
+      },
+      tx
+    );
+
+    return updated;
+  });
+
+  await invalidateRatingCaches(review.productId);
+
+  res.status(200).json({
+    message: `Review ${value.status === "APPROVED" ? "approved" : "hidden"}`,
+    review: ReviewService.format(updatedReview),
+  });
+});
+
+// 💬 REPLY TO REVIEW
+const replyToReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { error, value } = replyReviewSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+  });
+
+  if (!review) {
+    return res.status(404).json({ message: "Review not found" });
+  }
+
+  const updatedReview = await prisma.review.update({
+    where: { id: reviewId },
+    data: { reply: value.reply, repliedAt: new Date() },
+    select: ReviewService.select,
+  });
+
+  await AuditService.record({
+    action: "REVIEW_REPLIED",
+    actorId: req.user.id,
+    targetType: "Review",
+    targetId: reviewId,
+    metadata: { productId: review.productId },
+    req,
+  });
+
+  res.status(200).json({
+    message: "Reply saved successfully",
+    review: ReviewService.format(updatedReview),
+  });
+});
+
+// 🧹 REMOVE REPLY
+const deleteReviewReply = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+  });
+
+  if (!review || !review.reply) {
+    return res.status(404).json({ message: "Reply not found" });
+  }
+
+  await prisma.review.update({
+    where: { id: reviewId },
+    data: { reply: null, repliedAt: null },
+  });
+
+  res.status(200).json({ message: "Reply removed successfully" });
+});
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  getMyReviews,
+  getReviewsForModeration,
+  moderateReview,
+  replyToReview,
+  deleteReviewReply,
+};
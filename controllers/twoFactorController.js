@@ -0,0 +1,296 @@
+const bcrypt = require("bcryptjs");
+const prisma = require("../config/database");
+const AuditService = require("../services/AuditService");
+const LoginThrottleService = require("../services/LoginThrottleService");
+const TokenService = require("../services/TokenService");
+const TwoFactorService = require("../services/TwoFactorService");
+const { getAccountStatusError } = require("../utils/accountStatus");
+const { sendLoginBlocked } = require("../utils/loginThrottle");
+const {
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  twoFactorVerifySchema,
+} = require("../validations/authValidation");
+
+// Accepts either a current TOTP code or one of the recovery codes.
+// Returns { valid, recoveryCodes } where recoveryCodes is the updated list
+// when a recovery code was consumed.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const valid = await TwoFactorService.verifyCode(
+      user.id,
+      user.twoFactorSecret,
+      code
+    );
+    return { valid };
+  }
+
+  const remaining = TwoFactorService.useRecoveryCode(
+    user.twoFactorRecoveryCodes,
+    recoveryCode
+  );
+  return { valid: Boolean(remaining), recoveryCodes: remaining };
+};
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUrl } = await TwoFactorService.startSetup(req.user);
+
+    res.json({
+      message: "Scan the QR code and confirm with a code to enable 2FA",
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const secret = await TwoFactorService.getPendingSecret(req.user.id);
+    if (!secret) {
+      return res
+        .status(400)
+        .json({ error: "No pending 2FA setup, start the setup again" });
+    }
+
+    const valid = await TwoFactorService.verifyCode(
+      req.user.id,
+      secret,
+      value.code
+    );
+    if (!valid) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorRecoveryCodes: hashes,
+      },
+    });
+    await TwoFactorService.clearPendingSecret(req.user.id);
+
+    await AuditService.record({
+      action: "TWO_FACTOR_ENABLED",
+      actorId: req.user.id,
+      targetType: "User",
+      targetId: req.user.id,
+      req,
+    });
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = twoFactorDisableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const isValidPassword = await bcrypt.compare(
+      value.password,
+      req.user.password
+    );
+    const { valid } = await checkSecondFactor(req.user, value);
+    if (!isValidPassword || !valid) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
+      },
+    });
+
+    await AuditService.record({
+      action: "TWO_FACTOR_DISABLED",
+      actorId: req.user.id,
+      targetType: "User",
+      targetId: req.user.id,
+      req,
+    });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const valid = await TwoFactorService.verifyCode(
+      req.user.id,
+      req.user.twoFactorSecret,
+      value.code
+    );
+    if (!valid) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { twoFactorRecoveryCodes: hashes },
+    });
+
+    res.json({ message: "Recovery codes regenerated", recoveryCodes: codes });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Second login step
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { error, value } = twoFactorVerifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const challenge = await TwoFactorService.getChallenge(value.challengeToken);
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ error: "Login challenge expired, please log in again" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+    });
+    if (!user || !user.twoFactorEnabled) {
+      return res
+        .status(401)
+        .json({ error: "Login challenge expired, please log in again" });
+    }
+
+    // Wrong codes count against the same limits as wrong passwords, so
+    // starting a new challenge does not reset the number of guesses
+    const block = await LoginThrottleService.check(user.email, req.ip);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    const statusError = getAccountStatusError(user);
+    if (statusError) {
+      await TwoFactorService.completeChallenge(value.challengeToken);
+      return res.status(403).json(statusError);
+    }
+
+    const { valid, recoveryCodes } = await checkSecondFactor(user, value);
+    if (!valid) {
+      const newBlock = await LoginThrottleService.recordFailure(
+        user.email,
+        req.ip
+      );
+      if (newBlock) {
+        await TwoFactorService.completeChallenge(value.challengeToken);
+        return sendLoginBlocked(res, newBlock);
+      }
+
+      const canRetry = await TwoFactorService.recordChallengeFailure(
+        value.challengeToken,
+        challenge
+      );
+      return res.status(401).json({
+        error: canRetry
+          ? "Invalid authentication code"
+          : "Too many invalid codes, please log in again",
+      });
+    }
+
+    const completed = await TwoFactorService.completeChallenge(
+      value.challengeToken
+    );
+    if (!completed) {
+      return res
+        .status(401)
+        .json({ error: "Login challenge expired, please log in again" });
+    }
+
+    await LoginThrottleService.recordSuccess(user.email);
+
+    if (recoveryCodes) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorRecoveryCodes: recoveryCodes },
+      });
+    }
+
+    const { token, refreshToken } = await TokenService.createSession(user.id);
+
+    res.json({
+      message: "Login successful",
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      },
+      token,
+      refreshToken,
+      ...(recoveryCodes && { recoveryCodesRemaining: recoveryCodes.length }),
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+};
@@ -2,11 +2,185 @@ const bcrypt = require("bcryptjs");
 const joi = require("joi");
 const prisma = require("../config/database");
 const asyncHandler = require("express-async-handler");
-const { updateUserSchema } = require("../validations/userValidation");
+const AuditService = require("../services/AuditService");
+const LoginThrottleService = require("../services/LoginThrottleService");
+const TokenService = require("../services/TokenService");
+const UserTokenService = require("../services/UserTokenService");
+const UserDataService = require("../services/UserDataService");
+const CacheService = require("../services/CacheService");
+const ReviewService = require("../services/ReviewService");
+const {
+  updateUserSchema,
+  updateUserRoleSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  closeAccountSchema,
+  userQuerySchema,
+  updateUserStatusSchema,
+  purgeUserSchema,
+} = require("../validations/userValidation");
+const { toCsv } = require("../utils/csv");
+
+// Fields that are safe to send to clients (no password or 2FA secrets)
+const userSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  status: true,
+  statusReason: true,
+  statusChangedAt: true,
+  anonymizedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Same statuses as totalRevenue in the order statistics
+const REVENUE_STATUSES = ["CONFIRMED", "SHIPPED", "DELIVERED"];
+const EXPORT_BATCH_SIZE = 500;
+
+const buildUserFilters = (query) => {
+  const { search, role, status, createdFrom, createdTo, includeDeleted } =
+    query;
+
+  return {
+    ...(!includeDeleted && { anonymizedAt: null }),
+    ...(role && { role }),
+    ...(status && { status }),
+    ...(search && {
+      OR: [
+        { email: { contains: search, mode: "insensitive" } },
+        { firstName: { contains: search, mode: "insensitive" } },
+        { lastName: { contains: search, mode: "insensitive" } },
+      ],
+    }),
+    ...(createdFrom || createdTo
+      ? {
+          createdAt: {
+            ...(createdFrom && { gte: createdFrom }),
+            ...(createdTo && { lte: createdTo }),
+          },
+        }
+      : {}),
+  };
+};
+
+const buildUserOrderBy = ({ sortBy, sortOrder }) =>
+  sortBy === "orderCount"
+    ? [{ orders: { _count: sortOrder } }, { id: "asc" }]
+    : [{ [sortBy]: sortOrder }, { id: "asc" }];
+
+// Users with their order count and lifetime spend
+const findUsersWithStats = async (args) => {
+  const users = await prisma.user.findMany({
+    ...args,
+    select: {
+      ...userSelect,
+      _count: { select: { orders: true } },
+    },
+  });
+
+  const spend = await prisma.order.groupBy({
+    by: ["userId"],
+    where: {
+      userId: { in: users.map((user) => user.id) },
+      status: { in: REVENUE_STATUSES },
+    },
+    _sum: { totalAmount: true },
+  });
+  const spendByUser = new Map(
+    spend.map((row) => [row.userId, parseFloat(row._sum.totalAmount || 0)])
+  );
+
+  return users.map(({ _count, ...user }) => ({
+    ...user,
+    orderCount: _count.orders,
+    lifetimeSpend: spendByUser.get(user.id) || 0,
+  }));
+};
 
 const getAllUsers = asyncHandler(async (req, res) => {
-  const users = await prisma.user.findMany();
-  return res.status(200).json(users);
+  const { error, value } = userQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { page, limit } = value;
+  const where = buildUserFilters(value);
+
+  const [users, totalCount] = await Promise.all([
+    findUsersWithStats({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: buildUserOrderBy(value),
+    }),
+    prisma.user.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return res.status(200).json({
+    users,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  });
+});
+
+// 📄 ADMIN: CSV EXPORT OF THE FILTERED USER DIRECTORY
+const exportUsersCsv = asyncHandler(async (req, res) => {
+  const { error, value } = userQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const where = buildUserFilters(value);
+  const orderBy = buildUserOrderBy(value);
+
+  const users = [];
+  for (let skip = 0; ; skip += EXPORT_BATCH_SIZE) {
+    const batch = await findUsersWithStats({
+      where,
+      orderBy,
+      skip,
+      take: EXPORT_BATCH_SIZE,
+    });
+    users.push(...batch);
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+  }
+
+  const csv = toCsv(users, [
+    { header: "id", value: (user) => user.id },
+    { header: "email", value: (user) => user.email },
+    { header: "firstName", value: (user) => user.firstName },
+    { header: "lastName", value: (user) => user.lastName },
+    { header: "role", value: (user) => user.role },
+    { header: "status", value: (user) => user.status },
+    { header: "emailVerified", value: (user) => user.emailVerified },
+    { header: "orderCount", value: (user) => user.orderCount },
+    { header: "lifetimeSpend", value: (user) => user.lifetimeSpend.toFixed(2) },
+    { header: "createdAt", value: (user) => user.createdAt },
+  ]);
+
+  await AuditService.record({
+    action: "USER_DIRECTORY_EXPORTED",
+    actorId: req.user.id,
+    metadata: { filters: req.query, rows: users.length },
+    req,
+  });
+
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", 'attachment; filename="users.csv"');
+  res.status(200).send(csv);
 });
 
 const getOneUser = asyncHandler(async (req, res) => {
@@ -14,6 +188,7 @@ const getOneUser = asyncHandler(async (req, res) => {
 
   const user = await prisma.user.findFirst({
     where: { id },
+    select: userSelect,
   });
   if (!user) {
     return res.status(404).json({ message: "this user does not exists" });
@@ -32,8 +207,19 @@ const deleteUser = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "User does not exist" });
   }
 
-  await prisma.user.delete({
-    where: { id },
+  if (user.anonymizedAt) {
+    return res.status(400).json({ message: "User has already been deleted" });
+  }
+
+  // Orders are kept for accounting, personal data is erased
+  await UserDataService.anonymizeUser(id);
+
+  await AuditService.record({
+    action: "USER_ANONYMIZED",
+    actorId: req.user.id,
+    targetType: "User",
+    targetId: id,
+    req,
   });
 
   return res.status(200).json({ message: "User has been deleted" });
@@ -63,8 +249,368 @@ const updateUser = asyncHandler(async (req, res) => {
       lastName: lastName,
       password: hashedPassword,
     },
+    select: userSelect,
   });
   return res.status(201).json(updateduser);
 });
 
-module.exports = { getAllUsers, getOneUser, deleteUser, updateUser };
+const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+  });
+
+  if (!user) {
+    return res.status(404).json({ message: "User does not exist" });
+  }
+
+  await LoginThrottleService.unlock(user.email);
+
+  await AuditService.record({
+    action: "USER_LOGIN_UNLOCKED",
+    actorId: req.user.id,
+    targetType: "User",
+    targetId: id,
+    req,
+  });
+
+  return res.status(200).json({ message: "User account has been unlocked" });
+});
+
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { error, value } = updateUserRoleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  if (id === req.user.id) {
+    return res.status(400).json({ message: "You cannot change your own role" });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+  });
+
+  if (!user) {
+    return res.status(404).json({ message: "User does not exist" });
+  }
+
+  const updatedUser = await prisma.user.update({
+    where: { id },
+    data: { role: value.role },
+    select: { id: true, email: true, role: true },
+  });
+
+  await AuditService.record({
+    action: "USER_ROLE_CHANGED",
+    actorId: req.user.id,
+    targetType: "User",
+    targetId: id,
+    metadata: { from: user.role, to: value.role },
+    req,
+  });
+
+  return res.status(200).json({
+    message: "User role updated successfully",
+    user: updatedUser,
+  });
+});
+
+// 👤 SELF-SERVICE: GET OWN PROFILE
+const getMe = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: userSelect,
+  });
+
+  res.status(200).json(user);
+});
+
+// ✏️ SELF-SERVICE: UPDATE OWN PROFILE
+const updateMe = asyncHandler(async (req, res) => {
+  const { error, value } = updateProfileSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { email, firstName, lastName } = value;
+  const emailChanged = email !== undefined && email !== req.user.email;
+
+  if (emailChanged) {
+    const emailTaken = await prisma.user.findUnique({
+      where: { email },
+    });
+    if (emailTaken) {
+      return res.status(409).json({ message: "This email is already in use" });
+    }
+  }
+
+  const user = await prisma.user.update({
+    where: { id: req.user.id },
+    data: {
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      // A new address has to be verified again
+      ...(emailChanged && {
+        email,
+        emailVerified: false,
+        emailVerifiedAt: null,
+      }),
+    },
+    select: userSelect,
+  });
+
+  if (emailChanged) {
+    await UserTokenService.sendEmailVerification(user);
+  }
+
+  res.status(200).json({
+    message: "Profile updated successfully",
+    user,
+  });
+});
+
+// 🔑 SELF-SERVICE: CHANGE PASSWORD
+const changePassword = asyncHandler(async (req, res) => {
+  const { error, value } = changePasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { currentPassword, newPassword } = value;
+
+  const isValidPassword = await bcrypt.compare(
+    currentPassword,
+    req.user.password
+  );
+  if (!isValidPassword) {
+    return res.status(401).json({ message: "Current password is incorrect" });
+  }
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { password: await bcrypt.hash(newPassword, 12) },
+  });
+
+  // Keep the current session, sign out everywhere else
+  await TokenService.revokeAllSessions(req.user.id, req.sessionId);
+
+  res.status(200).json({ message: "Password changed successfully" });
+});
+
+// 🚪 SELF-SERVICE: CLOSE ACCOUNT
+const closeMyAccount = asyncHandler(async (req, res) => {
+  const { error, value } = closeAccountSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const isValidPassword = await bcrypt.compare(
+    value.password,
+    req.user.password
+  );
+  if (!isValidPassword) {
+    return res.status(401).json({ message: "Password is incorrect" });
+  }
+
+  await UserDataService.anonymizeUser(req.user.id);
+
+  await AuditService.record({
+    action: "USER_ACCOUNT_CLOSED",
+    actorId: req.user.id,
+    targetType: "User",
+    targetId: req.user.id,
+    req,
+  });
+
+  res.status(200).json({ message: "Your account has been closed" });
+});
+
+const sendUserExport = (res, data) => {
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="user-${data.profile.id}-export.json"`
+  );
+  res.status(200).json(data);
+};
+
+// 📦 SELF-SERVICE: DOWNLOAD OWN DATA
+const exportMyData = asyncHandler(async (req, res) => {
+  const data = await UserDataService.exportUserData(req.user.id);
+  sendUserExport(res, data);
+});
+
+// 📦 ADMIN: DOWNLOAD A USER'S DATA
+const exportUserData = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const data = await UserDataService.exportUserData(id);
+  if (!data) {
+    return res.status(404).json({ message: "User does not exist" });
+  }
+
+  await AuditService.record({
+    action: "USER_DATA_EXPORTED",
+    actorId: req.user.id,
+    targetType: "User",
+    targetId: id,
+    req,
+  });
+
+  sendUserExport(res, data);
+});
+
+// ⛔ ADMIN: SUSPEND, DEACTIVATE OR REACTIVATE A USER
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { error, value } = updateUserStatusSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { status, reason } = value;
+
+  if (id === req.user.id) {
+    return res
+      .status(400)
+      .json({ message: "You cannot change your own account status" });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+  });
+
+  if (!user || user.anonymizedAt) {
+    return res.status(404).json({ message: "User does not exist" });
+  }
+
+  if (user.status === status) {
+    return res
+      .status(400)
+      .json({ message: `User is already ${status.toLowerCase()}` });
+  }
+
+  const updatedUser = await prisma.user.update({
+    where: { id },
+    data: {
+      status,
+      statusReason: status === "ACTIVE" ? null : reason,
+      statusChangedAt: new Date(),
+    },
+    select: userSelect,
+  });
+
+  if (status !== "ACTIVE") {
+    await TokenService.revokeAllSessions(id);
+  }
+
+  await AuditService.record({
+    action: status === "ACTIVE" ? "USER_REACTIVATED" : `USER_${status}`,
+    actorId: req.user.id,
+    targetType: "User",
+    targetId: id,
+    metadata: { from: user.status, to: status, reason },
+    req,
+  });
+
+  return res.status(200).json({
+    message: "User status updated successfully",
+    user: updatedUser,
+  });
+});
+
+// 💥 ADMIN: PERMANENTLY DELETE A USER AND THEIR ORDERS
+// Only for accounts that were suspended, deactivated or anonymized first
+const purgeUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { error, value } = purgeUserSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    include: { _count: { select: { orders: true } } },
+  });
+
+  if (!user) {
+    return res.status(404).json({ message: "User does not exist" });
+  }
+
+  if (user.status === "ACTIVE" && !user.anonymizedAt) {
+    return res.status(400).json({
+      message: "Deactivate or suspend the user before purging the account",
+    });
+  }
+
+  if (value.confirmEmail.toLowerCase() !== user.email.toLowerCase()) {
+    return res
+      .status(400)
+      .json({ message: "Confirmation email does not match the user" });
+  }
+
+  // Their approved reviews disappear with them, so those ratings change
+  const reviewedProducts = await prisma.review.findMany({
+    where: { userId: id, status: "APPROVED" },
+    select: { productId: true },
+  });
+
+  await prisma.$transaction(async (tx) => {
+    // Recorded first so the log entry survives with the user snapshot
+    await AuditService.record(
+      {
+        action: "USER_PURGED",
+        actorId: req.user.id,
+        targetType: "User",
+        targetId: id,
+        // No email: the entry must not keep what the purge erases
+        metadata: {
+          role: user.role,
+          status: user.status,
+          orderCount: user._count.orders,
+        },
+        req,
+      },
+      tx
+    );
+
+    // Order items are removed through their cascade on Order
+    await tx.order.deleteMany({ where: { userId: id } });
+    await tx.user.delete({ where: { id } });
+
+    for (const { productId } of reviewedProducts) {
+      await ReviewService.refreshProductRating(productId, tx);
+    }
+  });
+
+  await TokenService.revokeAllSessions(id);
+
+  if (reviewedProducts.length > 0) {
+    for (const { productId } of reviewedProducts) {
+      await CacheService.invalidateProduct(productId);
+    }
+    await CacheService.invalidateAllProductCaches();
+  }
+
+  return res.status(200).json({ message: "User has been permanently deleted" });
+});
+
+module.exports = {
+  getAllUsers,
+  exportUsersCsv,
+  getOneUser,
+  deleteUser,
+  updateUser,
+  unlockUser,
+  updateUserRole,
+  getMe,
+  updateMe,
+  changePassword,
+  closeMyAccount,
+  exportMyData,
+  exportUserData,
+  updateUserStatus,
+  purgeUser,
+};
@@ -0,0 +1,416 @@
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const CacheService = require("../services/CacheService");
+const { variantInclude } = require("../utils/variants");
+const {
+  createOptionSchema,
+  updateOptionSchema,
+  createVariantSchema,
+  updateVariantSchema,
+  updateInventorySchema,
+} = require("../validations/productValidation");
+
+const optionInclude = {
+  values: { orderBy: { position: "asc" } },
+};
+
+// Product detail and listings embed options and variants
+const invalidateProductCaches = async (productId) => {
+  await CacheService.invalidateProduct(productId);
+  await CacheService.invalidateAllProductCaches();
+};
+
+// Option values of a variant must belong to the product, one per option.
+// Returns an error message, or null when the combination is valid.
+const validateOptionValues = async (productId, optionValueIds, variantId) => {
+  const options = await prisma.productOption.findMany({
+    where: { productId },
+    include: { values: { select: { id: true } } },
+  });
+
+  const valueToOption = new Map();
+  for (const option of options) {
+    for (const value of option.values) {
+      valueToOption.set(value.id, option.id);
+    }
+  }
+
+  const usedOptions = new Set();
+  for (const valueId of optionValueIds) {
+    const optionId = valueToOption.get(valueId);
+    if (!optionId) {
+      return "Option value does not belong to this product";
+    }
+    if (usedOptions.has(optionId)) {
+      return "A variant can only have one value per option";
+    }
+    usedOptions.add(optionId);
+  }
+
+  if (usedOptions.size !== options.length) {
+    return "A variant needs a value for every option of the product";
+  }
+
+  // Two variants with the same combination could not be told apart
+  const key = [...optionValueIds].sort().join(",");
+  const siblings = await prisma.productVariant.findMany({
+    where: { productId, ...(variantId && { id: { not: variantId } }) },
+    select: { optionValues: { select: { id: true } } },
+  });
+  const duplicate = siblings.some(
+    (sibling) =>
+      sibling.optionValues
+        .map((value) => value.id)
+        .sort()
+        .join(",") === key
+  );
+
+  return duplicate ? "A variant with these options already exists" : null;
+};
+
+// ⚙️ CREATE PRODUCT OPTION
+const createOption = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+  const { error, value } = createOptionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  const existingOption = await prisma.productOption.findUnique({
+    where: { productId_name: { productId, name: value.name } },
+  });
+
+  if (existingOption) {
+    return res
+      .status(400)
+      .json({ message: "Product already has an option with this name" });
+  }
+
+  const option = await prisma.productOption.create({
+    data: {
+      productId,
+      name: value.name,
+      position: value.position,
+      values: {
+        create: value.values.map((optionValue, index) => ({
+          value: optionValue,
+          position: index,
+        })),
+      },
+    },
+    include: optionInclude,
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(201).json({
+    message: "Option created successfully",
+    option,
+  });
+});
+
+// ✏️ UPDATE PRODUCT OPTION
+const updateOption = asyncHandler(async (req, res) => {
+  const { id: productId, optionId } = req.params;
+  const { error, value } = updateOptionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const option = await prisma.productOption.findFirst({
+    where: { id: optionId, productId },
+    include: optionInclude,
+  });
+
+  if (!option) {
+    return res.status(404).json({ message: "Option not found" });
+  }
+
+  if (value.name && value.name !== option.name) {
+    const nameTaken = await prisma.productOption.findUnique({
+      where: { productId_name: { productId, name: value.name } },
+    });
+
+    if (nameTaken) {
+      return res
+        .status(400)
+        .json({ message: "Product already has an option with this name" });
+    }
+  }
+
+  const existingValues = new Set(option.values.map((v) => v.value));
+  const newValues = (value.values || []).filter((v) => !existingValues.has(v));
+
+  const updatedOption = await prisma.productOption.update({
+    where: { id: optionId },
+    data: {
+      ...(value.name && { name: value.name }),
+      ...(value.position !== undefined && { position: value.position }),
+      ...(newValues.length > 0 && {
+        values: {
+          create: newValues.map((optionValue, index) => ({
+            value: optionValue,
+            position: option.values.length + index,
+          })),
+        },
+      }),
+    },
+    include: optionInclude,
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({
+    message: "Option updated successfully",
+    option: updatedOption,
+  });
+});
+
+// 🗑️ DELETE PRODUCT OPTION
+const deleteOption = asyncHandler(async (req, res) => {
+  const { id: productId, optionId } = req.params;
+
+  const option = await prisma.productOption.findFirst({
+    where: { id: optionId, productId },
+  });
+
+  if (!option) {
+    return res.status(404).json({ message: "Option not found" });
+  }
+
+  // Variants keep their other option values
+  await prisma.productOption.delete({
+    where: { id: optionId },
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({ message: "Option deleted successfully" });
+});
+
+// 📋 GET PRODUCT VARIANTS
+const getVariants = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: {
+      id: true,
+      options: {
+        orderBy: { position: "asc" },
+        include: optionInclude,
+      },
+      variants: {
+        orderBy: { position: "asc" },
+        include: variantInclude,
+      },
+    },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  res.status(200).json({
+    options: product.options,
+    variants: product.variants,
+  });
+});
+
+// 🔥 CREATE PRODUCT VARIANT
+const createVariant = asyncHandler(async (req, res) => {
+  const { id: productId } = req.params;
+  const { error, value } = createVariantSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const {
+    sku,
+    price,
+    imageUrl,
+    isActive,
+    position,
+    optionValueIds,
+    initialQuantity,
+  } = value;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+  });
+
+  if (!product) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  const skuTaken = await prisma.productVariant.findUnique({
+    where: { sku },
+  });
+
+  if (skuTaken) {
+    return res.status(400).json({ message: "SKU is already in use" });
+  }
+
+  const optionError = await validateOptionValues(productId, optionValueIds);
+  if (optionError) {
+    return res.status(400).json({ message: optionError });
+  }
+
+  const variant = await prisma.productVariant.create({
+    data: {
+      productId,
+      sku,
+      price,
+      imageUrl,
+      isActive,
+      position,
+      optionValues: {
+        connect: optionValueIds.map((id) => ({ id })),
+      },
+      inventory: {
+        create: { quantity: initialQuantity },
+      },
+    },
+    include: variantInclude,
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(201).json({
+    message: "Variant created successfully",
+    variant,
+  });
+});
+
+// ✏️ UPDATE PRODUCT VARIANT
+const updateVariant = asyncHandler(async (req, res) => {
+  const { id: productId, variantId } = req.params;
+  const { error, value } = updateVariantSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { sku, price, imageUrl, isActive, position, optionValueIds } = value;
+
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, productId },
+  });
+
+  if (!variant) {
+    return res.status(404).json({ message: "Variant not found" });
+  }
+
+  if (sku && sku !== variant.sku) {
+    const skuTaken = await prisma.productVariant.findUnique({
+      where: { sku },
+    });
+
+    if (skuTaken) {
+      return res.status(400).json({ message: "SKU is already in use" });
+    }
+  }
+
+  if (optionValueIds) {
+    const optionError = await validateOptionValues(
+      productId,
+      optionValueIds,
+      variantId
+    );
+    if (optionError) {
+      return res.status(400).json({ message: optionError });
+    }
+  }
+
+  const updatedVariant = await prisma.productVariant.update({
+    where: { id: variantId },
+    data: {
+      ...(sku && { sku }),
+      ...(price !== undefined && { price }),
+      ...(imageUrl !== undefined && { imageUrl }),
+      ...(isActive !== undefined && { isActive }),
+      ...(position !== undefined && { position }),
+      ...(optionValueIds && {
+        optionValues: { set: optionValueIds.map((id) => ({ id })) },
+      }),
+    },
+    include: variantInclude,
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({
+    message: "Variant updated successfully",
+    variant: updatedVariant,
+  });
+});
+
+// 🗑️ DELETE PRODUCT VARIANT
+const deleteVariant = asyncHandler(async (req, res) => {
+  const { id: productId, variantId } = req.params;
+
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, productId },
+  });
+
+  if (!variant) {
+    return res.status(404).json({ message: "Variant not found" });
+  }
+
+  // Cart items and inventory cascade; order items keep their sku snapshot
+  await prisma.productVariant.delete({
+    where: { id: variantId },
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({ message: "Variant deleted successfully" });
+});
+
+// 📦 UPDATE VARIANT INVENTORY
+const updateVariantInventory = asyncHandler(async (req, res) => {
+  const { id: productId, variantId } = req.params;
+  const { error, value } = updateInventorySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, productId },
+  });
+
+  if (!variant) {
+    return res.status(404).json({ message: "Variant not found" });
+  }
+
+  const inventory = await prisma.inventory.upsert({
+    where: { variantId },
+    update: { quantity: value.quantity },
+    create: { variantId, quantity: value.quantity },
+  });
+
+  await invalidateProductCaches(productId);
+
+  res.status(200).json({
+    message: "Inventory updated successfully",
+    inventory,
+  });
+});
+
+module.exports = {
+  createOption,
+  updateOption,
+  deleteOption,
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  updateVariantInventory,
+};
@@ -0,0 +1,539 @@
+const crypto = require("crypto");
+const prisma = require("../config/database");
+const asyncHandler = require("express-async-handler");
+const CartService = require("../services/CartService");
+const {
+  effectivePrice,
+  variantName,
+  variantInclude,
+  availableQuantity,
+  summarizeVariants,
+} = require("../utils/variants");
+const {
+  addWishlistItemSchema,
+  moveToCartSchema,
+  createWishlistSchema,
+  updateWishlistSchema,
+} = require("../validations/wishlistValidation");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const DEFAULT_WISHLIST_NAME = "My Wishlist";
+const MAX_WISHLISTS = 20;
+
+const wishlistItemInclude = {
+  product: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+      price: true,
+      imageUrl: true,
+      isActive: true,
+      inventory: { select: { quantity: true } },
+      variants: {
+        where: { isActive: true },
+        select: {
+          price: true,
+          isActive: true,
+          inventory: { select: { quantity: true } },
+        },
+      },
+    },
+  },
+  variant: {
+    select: {
+      id: true,
+      sku: true,
+      price: true,
+      imageUrl: true,
+      isActive: true,
+      ...variantInclude,
+    },
+  },
+};
+
+const wishlistInclude = {
+  items: {
+    orderBy: { createdAt: "desc" },
+    include: wishlistItemInclude,
+  },
+};
+
+// Price an item is tracked at. Items saved without a variant of a variant
+// product follow the lowest active variant price, both when saved and
+// afterwards, so price drops compare like with like.
+const itemPrice = (product, variant) =>
+  variant
+    ? parseFloat(effectivePrice(product, variant))
+    : summarizeVariants(product).priceRange.min;
+
+// Current price and availability of a saved item
+const formatItem = (item) => {
+  const { product, variant } = item;
+
+  const currentPrice = itemPrice(product, variant);
+  const inStock = variant
+    ? availableQuantity(item) > 0
+    : summarizeVariants(product).inStock;
+
+  const priceWhenAdded = parseFloat(item.priceWhenAdded);
+
+  return {
+    id: item.id,
+    createdAt: item.createdAt,
+    product: {
+      id: product.id,
+      name: product.name,
+      slug: product.slug,
+      imageUrl: (variant && variant.imageUrl) || product.imageUrl,
+    },
+    variant: variant
+      ? { id: variant.id, sku: variant.sku, name: variantName(variant) }
+      : null,
+    requiresVariant: !variant && product.variants.length > 0,
+    currentPrice,
+    priceWhenAdded,
+    priceDropped: currentPrice < priceWhenAdded,
+    isAvailable: product.isActive && (!variant || variant.isActive),
+    inStock,
+  };
+};
+
+const formatWishlist = ({ items, ...wishlist }) => ({
+  ...wishlist,
+  shareUrl: wishlist.shareToken
+    ? `${APP_URL}/wishlists/shared/${wishlist.shareToken}`
+    : null,
+  items: items.map(formatItem),
+});
+
+// The default list is created on first use
+const findOrCreateDefaultWishlist = async (userId) => {
+  const wishlist = await prisma.wishlist.findFirst({
+    where: { userId, isDefault: true },
+  });
+
+  if (wishlist) {
+    return wishlist;
+  }
+
+  return prisma.wishlist.upsert({
+    where: { userId_name: { userId, name: DEFAULT_WISHLIST_NAME } },
+    update: { isDefault: true },
+    create: { userId, name: DEFAULT_WISHLIST_NAME, isDefault: true },
+  });
+};
+
+// 💖 GET DEFAULT WISHLIST
+const getWishlist = asyncHandler(async (req, res) => {
+  const defaultList = await findOrCreateDefaultWishlist(req.user.id);
+
+  const wishlist = await prisma.wishlist.findUnique({
+    where: { id: defaultList.id },
+    include: wishlistInclude,
+  });
+
+  res.status(200).json(formatWishlist(wishlist));
+});
+
+// ➕ ADD PRODUCT TO WISHLIST
+const addWishlistItem = asyncHandler(async (req, res) => {
+  const { error, value } = addWishlistItemSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { productId, variantId, wishlistId } = value;
+  const userId = req.user.id;
+
+  let wishlist;
+  if (wishlistId) {
+    wishlist = await prisma.wishlist.findFirst({
+      where: { id: wishlistId, userId },
+    });
+
+    if (!wishlist) {
+      return res.status(404).json({ message: "Wishlist not found" });
+    }
+  } else {
+    wishlist = await findOrCreateDefaultWishlist(userId);
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    include: {
+      variants: {
+        where: { isActive: true },
+        select: { price: true, isActive: true },
+      },
+    },
+  });
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({ message: "Product not found" });
+  }
+
+  let variant = null;
+  if (variantId) {
+    variant = await prisma.productVariant.findFirst({
+      where: { id: variantId, productId, isActive: true },
+    });
+
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+  }
+
+  const existingItem = await prisma.wishlistItem.findFirst({
+    where: {
+      wishlistId: wishlist.id,
+      productId,
+      variantId: variantId || null,
+    },
+  });
+
+  if (existingItem) {
+    return res
+      .status(409)
+      .json({ message: "Product is already in this wishlist" });
+  }
+
+  let item;
+  try {
+    item = await prisma.wishlistItem.create({
+      data: {
+        wishlistId: wishlist.id,
+        productId,
+        variantId,
+        priceWhenAdded: itemPrice(product, variant),
+      },
+      include: wishlistItemInclude,
+    });
+  } catch (err) {
+    // Added by a concurrent request since the check above
+    if (err.code === "P2002") {
+      return res
+        .status(409)
+        .json({ message: "Product is already in this wishlist" });
+    }
+    throw err;
+  }
+
+  res.status(201).json({
+    message: "Product added to wishlist",
+    wishlistId: wishlist.id,
+    item: formatItem(item),
+  });
+});
+
+// 🗑️ REMOVE PRODUCT FROM WISHLIST
+const removeWishlistItem = asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+
+  const item = await prisma.wishlistItem.findFirst({
+    where: { id: itemId, wishlist: { userId: req.user.id } },
+  });
+
+  if (!item) {
+    return res.status(404).json({ message: "Wishlist item not found" });
+  }
+
+  await prisma.wishlistItem.delete({
+    where: { id: itemId },
+  });
+
+  res.status(200).json({ message: "Product removed from wishlist" });
+});
+
+// 🛒 MOVE WISHLIST ITEM TO CART
+const moveToCart = asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+  const { error, value } = moveToCartSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const item = await prisma.wishlistItem.findFirst({
+    where: { id: itemId, wishlist: { userId } },
+  });
+
+  if (!item) {
+    return res.status(404).json({ message: "Wishlist item not found" });
+  }
+
+  if (item.variantId && value.variantId && item.variantId !== value.variantId) {
+    return res
+      .status(400)
+      .json({ message: "This wishlist item is for a different variant" });
+  }
+
+  // Same availability and stock checks as adding to the cart directly
+  const result = await CartService.addItem(userId, {
+    productId: item.productId,
+    variantId: item.variantId || value.variantId,
+    quantity: value.quantity,
+  });
+
+  if (result.message) {
+    return res.status(result.status).json({ message: result.message });
+  }
+
+  await prisma.wishlistItem.delete({
+    where: { id: itemId },
+  });
+
+  res.status(200).json({
+    message: "Item moved to cart successfully",
+    cartItem: CartService.withItemPrice(result.cartItem),
+  });
+});
+
+// 📋 GET MY WISHLISTS
+const getWishlists = asyncHandler(async (req, res) => {
+  const wishlists = await prisma.wishlist.findMany({
+    where: { userId: req.user.id },
+    orderBy: [{ isDefault: "desc" }, { createdAt: "asc" }],
+    include: { _count: { select: { items: true } } },
+  });
+
+  res.status(200).json(
+    wishlists.map(({ _count, ...wishlist }) => ({
+      ...wishlist,
+      itemCount: _count.items,
+    }))
+  );
+});
+
+// ➕ CREATE WISHLIST
+const createWishlist = asyncHandler(async (req, res) => {
+  const { error, value } = createWishlistSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const wishlists = await prisma.wishlist.findMany({
+    where: { userId },
+    select: { name: true },
+  });
+
+  if (wishlists.length >= MAX_WISHLISTS) {
+    return res
+      .status(400)
+      .json({ message: `You can have at most ${MAX_WISHLISTS} wishlists` });
+  }
+
+  if (wishlists.some((wishlist) => wishlist.name === value.name)) {
+    return res
+      .status(409)
+      .json({ message: "You already have a wishlist with this name" });
+  }
+
+  const wishlist = await prisma.wishlist.create({
+    data: {
+      userId,
+      name: value.name,
+      // The first list becomes the default
+      isDefault: wishlists.length === 0,
+    },
+  });
+
+  res.status(201).json({
+    message: "Wishlist created successfully",
+    wishlist,
+  });
+});
+
+// 🔍 GET ONE OF MY WISHLISTS
+const getWishlistById = asyncHandler(async (req, res) => {
+  const wishlist = await prisma.wishlist.findFirst({
+    where: { id: req.params.listId, userId: req.user.id },
+    include: wishlistInclude,
+  });
+
+  if (!wishlist) {
+    return res.status(404).json({ message: "Wishlist not found" });
+  }
+
+  res.status(200).json(formatWishlist(wishlist));
+});
+
+// ✏️ RENAME WISHLIST OR MAKE IT THE DEFAULT
+const updateWishlist = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+  const { error, value } = updateWishlistSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  const wishlist = await prisma.wishlist.findFirst({
+    where: { id: listId, userId },
+  });
+
+  if (!wishlist) {
+    return res.status(404).json({ message: "Wishlist not found" });
+  }
+
+  if (value.name && value.name !== wishlist.name) {
+    const taken = await prisma.wishlist.findUnique({
+      where: { userId_name: { userId, name: value.name } },
+    });
+
+    if (taken) {
+      return res
+        .status(409)
+        .json({ message: "You already have a wishlist with this name" });
+    }
+  }
+
+  const updatedWishlist = await prisma.$transaction(async (tx) => {
+    if (value.isDefault) {
+      await tx.wishlist.updateMany({
+        where: { userId, isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    return tx.wishlist.update({
+      where: { id: listId },
+      data: value,
+    });
+  });
+
+  res.status(200).json({
+    message: "Wishlist updated successfully",
+    wishlist: updatedWishlist,
+  });
+});
+
+// 🗑️ DELETE WISHLIST
+const deleteWishlist = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+  const userId = req.user.id;
+
+  const wishlist = await prisma.wishlist.findFirst({
+    where: { id: listId, userId },
+  });
+
+  if (!wishlist) {
+    return res.status(404).json({ message: "Wishlist not found" });
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.wishlist.delete({
+      where: { id: listId },
+    });
+
+    // The oldest remaining list takes over as the default
+    if (wishlist.isDefault) {
+      const next = await tx.wishlist.findFirst({
+        where: { userId },
+        orderBy: { createdAt: "asc" },
+      });
+
+      if (next) {
+        await tx.wishlist.update({
+          where: { id: next.id },
+          data: { isDefault: true },
+        });
+      }
+    }
+  });
+
+  res.status(200).json({ message: "Wishlist deleted successfully" });
+});
+
+// 🔗 SHARE WISHLIST (read-only link)
+const shareWishlist = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+
+  const wishlist = await prisma.wishlist.findFirst({
+    where: { id: listId, userId: req.user.id },
+  });
+
+  if (!wishlist) {
+    return res.status(404).json({ message: "Wishlist not found" });
+  }
+
+  // Sharing again keeps the existing link
+  const shareToken =
+    wishlist.shareToken || crypto.randomBytes(16).toString("hex");
+
+  if (!wishlist.shareToken) {
+    await prisma.wishlist.update({
+      where: { id: listId },
+      data: { shareToken },
+    });
+  }
+
+  res.status(200).json({
+    message: "Wishlist shared successfully",
+    shareToken,
+    shareUrl: `${APP_URL}/wishlists/shared/${shareToken}`,
+  });
+});
+
+// 🔒 STOP SHARING WISHLIST
+const unshareWishlist = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+
+  const wishlist = await prisma.wishlist.findFirst({
+    where: { id: listId, userId: req.user.id },
+  });
+
+  if (!wishlist) {
+    return res.status(404).json({ message: "Wishlist not found" });
+  }
+
+  await prisma.wishlist.update({
+    where: { id: listId },
+    data: { shareToken: null },
+  });
+
+  res.status(200).json({ message: "Wishlist is no longer shared" });
+});
+
+// 👀 VIEW SHARED WISHLIST (public)
+const getSharedWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await prisma.wishlist.findUnique({
+    where: { shareToken: req.params.token },
+    include: {
+      ...wishlistInclude,
+      user: { select: { firstName: true } },
+    },
+  });
+
+  if (!wishlist) {
+    return res.status(404).json({ message: "Wishlist not found" });
+  }
+
+  // Visitors see the products, not the owner's account or list settings
+  res.status(200).json({
+    name: wishlist.name,
+    owner: wishlist.user.firstName,
+    items: wishlist.items
+      .filter((item) => item.product.isActive)
+      .map(formatItem)
+      .map(({ priceWhenAdded, priceDropped, ...item }) => item),
+  });
+});
+
+module.exports = {
+  getWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveToCart,
+  getWishlists,
+  createWishlist,
+  getWishlistById,
+  updateWishlist,
+  deleteWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+};
@@ -1,36 +1,124 @@
 const jwt = require("jsonwebtoken");
 const prisma = require("../config/database");
+const TokenService = require("../services/TokenService");
+const ApiKeyService = require("../services/ApiKeyService");
+const { hasPermission } = require("../config/permissions");
+const { getAccountStatusError } = require("../utils/accountStatus");
 
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+// Options:
+// - requireVerifiedEmail: reject users who have not verified their email
+const authenticate =
+  (options = {}) =>
+  async (req, res, next) => {
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
-  if (!token) {
-    return res.status(401).json({ error: "Access token required" });
-  }
+    if (!token) {
+      return res.status(401).json({ error: "Access token required" });
+    }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-    });
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens die with their session (logout, logout-all, refresh token reuse)
+      const sessionActive = await TokenService.isSessionActive(decoded.sid);
+      if (!sessionActive) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: decoded.userId },
+      });
+
+      if (!user) {
+        return res.status(401).json({ error: "Invalid token" });
+      }
+
+      const statusError = getAccountStatusError(user);
+      if (statusError) {
+        return res.status(403).json(statusError);
+      }
+
+      if (options.requireVerifiedEmail && !user.emailVerified) {
+        return res
+          .status(403)
+          .json({ error: "Please verify your email address first" });
+      }
 
-    if (!user) {
-      return res.status(401).json({ error: "Invalid token" });
+      req.user = user;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (error) {
+      return res.status(403).json({ error: "Invalid or expired token" });
     }
+  };
 
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(403).json({ error: "Invalid or expired token" });
-  }
-};
+const authenticateToken = authenticate();
+
+// ADMIN_REQUIRE_2FA=true locks staff out of privileged routes until they
+// enroll in 2FA
+const missingTwoFactor = (user) =>
+  process.env.ADMIN_REQUIRE_2FA === "true" && !user.twoFactorEnabled;
 
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== "ADMIN") {
     return res.status(403).json({ error: "Admin access required" });
   }
+  if (missingTwoFactor(req.user)) {
+    return res.status(403).json({
+      error: "Two-factor authentication must be enabled for admin access",
+    });
+  }
   next();
 };
 
-module.exports = { authenticateToken, requireAdmin };
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    return res
+      .status(403)
+      .json({ error: `Missing required permission: ${permission}` });
+  }
+  if (missingTwoFactor(req.user)) {
+    return res.status(403).json({
+      error: "Two-factor authentication must be enabled for staff access",
+    });
+  }
+  next();
+};
+
+// Service-to-service authentication via the X-API-Key header.
+// Requests without the header fall through to the next route with the same
+// path (next("route")), so a key route can be declared in front of the
+// regular JWT-protected one.
+const authenticateApiKey = (scope) => async (req, res, next) => {
+  const key = req.headers["x-api-key"];
+  if (!key) {
+    return next("route");
+  }
+
+  try {
+    const apiKey = await ApiKeyService.verify(key);
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid or expired API key" });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res
+        .status(403)
+        .json({ error: `API key is missing the ${scope} scope` });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authenticateToken,
+  authenticateApiKey,
+  requireAdmin,
+  requirePermission,
+};
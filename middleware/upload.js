@@ -0,0 +1,29 @@
+const multer = require("multer");
+
+const MAX_FILE_SIZE =
+  parseInt(process.env.UPLOAD_MAX_FILE_MB || "5") * 1024 * 1024;
+const MAX_FILES = 10;
+
+// Files are kept in memory; ImageService decodes and stores them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    cb(null, file.mimetype.startsWith("image/"));
+  },
+});
+
+// Multer errors (too large, too many files, ...) are client errors
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  });
+};
+
+const uploadImages = handleUploadErrors(upload.array("images", MAX_FILES));
+const uploadImage = handleUploadErrors(upload.single("image"));
+
+module.exports = { uploadImages, uploadImage };
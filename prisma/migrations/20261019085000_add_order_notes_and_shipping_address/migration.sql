@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "notes" TEXT,
+ADD COLUMN     "shippingAddress" TEXT;
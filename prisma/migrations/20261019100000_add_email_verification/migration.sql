@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "UserTokenType" ADD VALUE 'EMAIL_VERIFICATION';
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3);
+
+-- Existing accounts predate verification and keep their access
+UPDATE "users" SET "emailVerified" = true, "emailVerifiedAt" = CURRENT_TIMESTAMP;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "twoFactorRecoveryCodes" TEXT[],
+ADD COLUMN     "twoFactorSecret" TEXT;
@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "orders" DROP CONSTRAINT "orders_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "anonymizedAt" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shippingAddressData" JSONB;
+
+-- CreateTable
+CREATE TABLE "addresses" (
+    "id" TEXT NOT NULL,
+    "label" TEXT,
+    "fullName" TEXT NOT NULL,
+    "line1" TEXT NOT NULL,
+    "line2" TEXT,
+    "city" TEXT NOT NULL,
+    "region" TEXT,
+    "postalCode" TEXT NOT NULL,
+    "country" TEXT NOT NULL,
+    "phone" TEXT,
+    "isDefaultShipping" BOOLEAN NOT NULL DEFAULT false,
+    "isDefaultBilling" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "addresses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "addresses_userId_idx" ON "addresses"("userId");
+
+-- AddForeignKey
+ALTER TABLE "addresses" ADD CONSTRAINT "addresses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
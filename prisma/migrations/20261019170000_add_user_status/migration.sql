@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "UserStatus" AS ENUM ('ACTIVE', 'SUSPENDED', 'DEACTIVATED');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "status" "UserStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "statusChangedAt" TIMESTAMP(3),
+ADD COLUMN     "statusReason" TEXT;
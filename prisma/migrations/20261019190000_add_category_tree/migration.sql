@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "parentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "categories_parentId_idx" ON "categories"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
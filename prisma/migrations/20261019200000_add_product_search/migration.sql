@@ -0,0 +1,45 @@
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "searchVector" tsvector;
+
+-- Keep the search document in sync with the product and its category name.
+-- Weights: name A, category B, description C.
+CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', coalesce(NEW."name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT "name" FROM "categories" WHERE "id" = NEW."categoryId"), ''
+    )), 'B') ||
+    setweight(to_tsvector('english', coalesce(NEW."description", '')), 'C');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "products_search_vector_trigger"
+  BEFORE INSERT OR UPDATE OF "name", "description", "categoryId" ON "products"
+  FOR EACH ROW EXECUTE FUNCTION products_search_vector_update();
+
+-- Renaming a category re-indexes its products
+CREATE OR REPLACE FUNCTION categories_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  UPDATE "products" SET "name" = "name" WHERE "categoryId" = NEW."id";
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "categories_search_vector_trigger"
+  AFTER UPDATE OF "name" ON "categories"
+  FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+  EXECUTE FUNCTION categories_search_vector_update();
+
+-- Backfill existing products
+UPDATE "products" SET "name" = "name";
+
+-- CreateIndex
+CREATE INDEX "products_searchVector_idx" ON "products" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "products_name_trgm_idx" ON "products" USING GIN ("name" gin_trgm_ops);
@@ -0,0 +1,91 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "slug" TEXT;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "slug" TEXT;
+
+-- Backfill slugs from names. Rows whose name gives the same slug as an
+-- older row get the end of their id appended.
+UPDATE "categories" c SET "slug" = s."slug"
+FROM (
+  SELECT "id",
+    CASE WHEN rn = 1 THEN base ELSE base || '-' || right("id", 6) END AS "slug"
+  FROM (
+    SELECT "id", base,
+      row_number() OVER (PARTITION BY base ORDER BY "createdAt") AS rn
+    FROM (
+      SELECT "id", "createdAt",
+        coalesce(nullif(trim(BOTH '-' FROM lower(
+          regexp_replace("name", '[^a-zA-Z0-9]+', '-', 'g')
+        )), ''), 'category') AS base
+      FROM "categories"
+    ) b
+  ) r
+) s
+WHERE c."id" = s."id";
+
+UPDATE "products" p SET "slug" = s."slug"
+FROM (
+  SELECT "id",
+    CASE WHEN rn = 1 THEN base ELSE base || '-' || right("id", 6) END AS "slug"
+  FROM (
+    SELECT "id", base,
+      row_number() OVER (PARTITION BY base ORDER BY "createdAt") AS rn
+    FROM (
+      SELECT "id", "createdAt",
+        coalesce(nullif(trim(BOTH '-' FROM lower(
+          regexp_replace("name", '[^a-zA-Z0-9]+', '-', 'g')
+        )), ''), 'product') AS base
+      FROM "products"
+    ) b
+  ) r
+) s
+WHERE p."id" = s."id";
+
+ALTER TABLE "categories" ALTER COLUMN "slug" SET NOT NULL;
+
+ALTER TABLE "products" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "category_slug_redirects" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "categoryId" TEXT NOT NULL,
+
+    CONSTRAINT "category_slug_redirects_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_slug_redirects" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "product_slug_redirects_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_slug_key" ON "products"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "category_slug_redirects_slug_key" ON "category_slug_redirects"("slug");
+
+-- CreateIndex
+CREATE INDEX "category_slug_redirects_categoryId_idx" ON "category_slug_redirects"("categoryId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_slug_redirects_slug_key" ON "product_slug_redirects"("slug");
+
+-- CreateIndex
+CREATE INDEX "product_slug_redirects_productId_idx" ON "product_slug_redirects"("productId");
+
+-- AddForeignKey
+ALTER TABLE "category_slug_redirects" ADD CONSTRAINT "category_slug_redirects_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_slug_redirects" ADD CONSTRAINT "product_slug_redirects_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "imageKeys" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "product_images" (
+    "id" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "sizes" JSONB,
+    "altText" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+    "width" INTEGER,
+    "height" INTEGER,
+    "storageKeys" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "product_images_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_images_productId_position_idx" ON "product_images"("productId", "position");
+
+-- AddForeignKey
+ALTER TABLE "product_images" ADD CONSTRAINT "product_images_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing external image URLs become the primary gallery image
+INSERT INTO "product_images" ("id", "url", "isPrimary", "productId")
+SELECT 'img_' || "id", "imageUrl", true, "id"
+FROM "products"
+WHERE "imageUrl" IS NOT NULL;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "sku" TEXT;
+
+-- Existing products get their slug (unique as well) as sku, so exported
+-- catalogs can be imported again without duplicating them
+UPDATE "products" SET "sku" = "slug";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_sku_key" ON "products"("sku");
@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "AttributeType" AS ENUM ('TEXT', 'NUMBER', 'BOOLEAN', 'ENUM');
+
+-- CreateTable
+CREATE TABLE "attribute_definitions" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "AttributeType" NOT NULL,
+    "unit" TEXT,
+    "options" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "filterable" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "categoryId" TEXT NOT NULL,
+
+    CONSTRAINT "attribute_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_attribute_values" (
+    "id" TEXT NOT NULL,
+    "textValue" TEXT,
+    "numberValue" DOUBLE PRECISION,
+    "booleanValue" BOOLEAN,
+    "productId" TEXT NOT NULL,
+    "definitionId" TEXT NOT NULL,
+
+    CONSTRAINT "product_attribute_values_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "attribute_definitions_key_idx" ON "attribute_definitions"("key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "attribute_definitions_categoryId_key_key" ON "attribute_definitions"("categoryId", "key");
+
+-- CreateIndex
+CREATE INDEX "product_attribute_values_definitionId_textValue_idx" ON "product_attribute_values"("definitionId", "textValue");
+
+-- CreateIndex
+CREATE INDEX "product_attribute_values_definitionId_numberValue_idx" ON "product_attribute_values"("definitionId", "numberValue");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_attribute_values_productId_definitionId_key" ON "product_attribute_values"("productId", "definitionId");
+
+-- AddForeignKey
+ALTER TABLE "attribute_definitions" ADD CONSTRAINT "attribute_definitions_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_attribute_values" ADD CONSTRAINT "product_attribute_values_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_attribute_values" ADD CONSTRAINT "product_attribute_values_definitionId_fkey" FOREIGN KEY ("definitionId") REFERENCES "attribute_definitions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,67 @@
+const express = require("express");
+const {
+  createApiKey,
+  getAllApiKeys,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+const { requireAdmin, authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// 🔐 API KEY MANAGEMENT IS ADMIN ONLY
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create a scoped API key (admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [inventory:write, orders:read, orders:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created, the key is only returned once
+ */
+router.post("/", createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys (admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/", getAllApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/:id", revokeApiKey);
+
+module.exports = router;
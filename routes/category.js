@@ -2,10 +2,21 @@ const express = require("express");
 const {
   createCategory,
   getAllCategories,
+  getCategoryTree,
   deleteCategories,
   updateCategory,
+  moveCategory,
+  getCategoryById,
+  uploadCategoryImage,
 } = require("../controllers/categoryController");
-const { requireAdmin, authenticateToken } = require("../middleware/auth");
+const {
+  getCategoryAttributes,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute,
+} = require("../controllers/attributeController");
+const { uploadImage } = require("../middleware/upload");
+const { requirePermission, authenticateToken } = require("../middleware/auth");
 
 const router = express.Router();
 /**
@@ -20,6 +31,37 @@ const router = express.Router();
  */
 router.get("/", getAllCategories);
 
+/**
+ * @swagger
+ * /api/categories/tree:
+ *   get:
+ *     summary: Get categories as a nested tree
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Root categories with nested children
+ */
+router.get("/tree", getCategoryTree);
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category by id or slug
+ *     description: Old slugs answer with a 301 pointing at the current slug
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Category with breadcrumbs
+ *       301:
+ *         description: Category moved to a new slug
+ */
+router.get("/:id", getCategoryById);
+
 /**
  * @swagger
  * /api/categories:
@@ -32,7 +74,12 @@ router.get("/", getAllCategories);
  *       201:
  *         description: Category created
  */
-router.post("/", authenticateToken, requireAdmin, createCategory);
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("categories:create"),
+  createCategory
+);
 
 /**
  * @swagger
@@ -50,7 +97,12 @@ router.post("/", authenticateToken, requireAdmin, createCategory);
  *       200:
  *         description: Category deleted
  */
-router.delete("/:id", authenticateToken, requireAdmin, deleteCategories);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("categories:delete"),
+  deleteCategories
+);
 
 /**
  * @swagger
@@ -68,6 +120,136 @@ router.delete("/:id", authenticateToken, requireAdmin, deleteCategories);
  *       200:
  *         description: Category updated
  */
-router.put("/:id", authenticateToken, requireAdmin, updateCategory);
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("categories:update"),
+  updateCategory
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/move:
+ *   patch:
+ *     summary: Move a category and its subcategories under a new parent
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Category moved
+ */
+router.patch(
+  "/:id/move",
+  authenticateToken,
+  requirePermission("categories:update"),
+  moveCategory
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/image:
+ *   post:
+ *     summary: Upload the category image (multipart field "image")
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Image stored, thumbnails generated
+ */
+router.post(
+  "/:id/image",
+  authenticateToken,
+  requirePermission("categories:update"),
+  uploadImage,
+  uploadCategoryImage
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/attributes:
+ *   get:
+ *     summary: Attribute definitions of a category, including inherited ones
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Definitions, root category first
+ */
+router.get("/:id/attributes", getCategoryAttributes);
+
+/**
+ * @swagger
+ * /api/categories/{id}/attributes:
+ *   post:
+ *     summary: Define a typed attribute (text, number, boolean, enum) for a category
+ *     description: The key is used by ?attr.<key>= product filters and must be unique along the category branch
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Attribute created
+ */
+router.post(
+  "/:id/attributes",
+  authenticateToken,
+  requirePermission("categories:update"),
+  createAttribute
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/attributes/{attributeId}:
+ *   patch:
+ *     summary: Update an attribute definition (key and type are fixed)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attribute updated
+ */
+router.patch(
+  "/:id/attributes/:attributeId",
+  authenticateToken,
+  requirePermission("categories:update"),
+  updateAttribute
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}/attributes/{attributeId}:
+ *   delete:
+ *     summary: Delete an attribute definition and its product values
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attribute deleted
+ */
+router.delete(
+  "/:id/attributes/:attributeId",
+  authenticateToken,
+  requirePermission("categories:update"),
+  deleteAttribute
+);
 
 module.exports = router;
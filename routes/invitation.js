@@ -0,0 +1,91 @@
+const express = require("express");
+const {
+  createInvitation,
+  getAllInvitations,
+  revokeInvitation,
+  acceptInvitation,
+} = require("../controllers/invitationController");
+const { requireAdmin, authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/invitations/accept:
+ *   post:
+ *     summary: Accept an admin invitation and create the account
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Invalid or expired invitation
+ */
+router.post("/accept", acceptInvitation);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a new admin or staff member (admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, SUPPORT, CATALOG_MANAGER, FULFILLMENT]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       409:
+ *         description: User already exists
+ */
+router.post("/", authenticateToken, requireAdmin, createInvitation);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List admin invitations (admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/", authenticateToken, requireAdmin, getAllInvitations);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/:id", authenticateToken, requireAdmin, revokeInvitation);
+
+module.exports = router;
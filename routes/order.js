@@ -8,26 +8,56 @@ const {
   updateOrderStatus,
   getOrderStats,
 } = require("../controllers/orderController");
-const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const {
+  authenticate,
+  authenticateToken,
+  authenticateApiKey,
+  requirePermission,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
-// 🔐 ALL ORDER ROUTES REQUIRE AUTHENTICATION
-router.use(authenticateToken);
-
 /**
  * @swagger
  * /api/orders:
  *   post:
  *     summary: Create a new order
+ *     description: Ships to addressId, a free-text shippingAddress, or the default shipping address
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *               shippingAddress:
+ *                 type: string
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Order created
+ *       403:
+ *         description: Email address not verified
  */
-router.post("/", createOrder);
+// Only customers with a verified email can place orders
+router.post("/", authenticate({ requireVerifiedEmail: true }), createOrder);
+
+// 🔑 INTEGRATIONS: API KEY ACCESS TO ADMIN ORDER ROUTES
+// Requests without X-API-Key fall through to the JWT routes below
+router.get("/admin/all", authenticateApiKey("orders:read"), getAllOrders);
+router.patch(
+  "/admin/:orderId/status",
+  authenticateApiKey("orders:write"),
+  updateOrderStatus
+);
+
+// 🔐 ALL OTHER ORDER ROUTES REQUIRE AUTHENTICATION
+router.use(authenticateToken);
 
 /**
  * @swagger
@@ -69,23 +99,29 @@ router.delete("/:orderId/cancel", cancelOrder);
  * @swagger
  * /api/orders/admin/all:
  *   get:
- *     summary: Get all orders (admin)
+ *     summary: Get all orders (orders:read permission or API key scope)
  *     tags: [Admin Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  */
-router.get("/admin/all", requireAdmin, getAllOrders);
+router.get("/admin/all", requirePermission("orders:read"), getAllOrders);
 
 /**
  * @swagger
  * /api/orders/admin/{orderId}/status:
  *   patch:
- *     summary: Update order status
+ *     summary: Update order status (orders:update permission or orders:write API key scope)
  *     tags: [Admin Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  */
-router.patch("/admin/:orderId/status", requireAdmin, updateOrderStatus);
+router.patch(
+  "/admin/:orderId/status",
+  requirePermission("orders:update"),
+  updateOrderStatus
+);
 
 /**
  * @swagger
@@ -96,7 +132,7 @@ router.patch("/admin/:orderId/status", requireAdmin, updateOrderStatus);
  *     security:
  *       - bearerAuth: []
  */
-router.get("/admin/stats", requireAdmin, getOrderStats);
+router.get("/admin/stats", requirePermission("orders:read"), getOrderStats);
 
 module.exports = router;
 
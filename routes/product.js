@@ -8,11 +8,52 @@ const {
   updateInventory,
   getProductsByCategory,
   searchProducts,
+  suggestProducts,
+  getRelatedProducts,
 } = require("../controllers/productController");
-const { requireAdmin, authenticateToken } = require("../middleware/auth");
+const {
+  createOption,
+  updateOption,
+  deleteOption,
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  updateVariantInventory,
+} = require("../controllers/variantController");
+const {
+  getProductImages,
+  uploadProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage,
+} = require("../controllers/productImageController");
+const {
+  importProducts,
+  exportProducts,
+} = require("../controllers/productImportController");
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} = require("../controllers/reviewController");
+const { uploadImages } = require("../middleware/upload");
+const {
+  requirePermission,
+  authenticate,
+  authenticateToken,
+  authenticateApiKey,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
+// CSV imports arrive as plain text; JSON imports use the app-wide parser
+const csvBody = express.text({
+  type: ["text/csv", "text/plain"],
+  limit: "10mb",
+});
+
 /**
  * @swagger
  * /api/products:
@@ -31,6 +72,43 @@ router.get("/", getAllProducts);
  */
 router.get("/search", searchProducts);
 
+/**
+ * @swagger
+ * /api/products/suggest:
+ *   get:
+ *     summary: Typeahead suggestions (product names, categories, popular searches)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ */
+router.get("/suggest", suggestProducts);
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export the full catalog with inventory levels (requires products:export)
+ *     description: Uses the same columns as the bulk import
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ */
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("products:export"),
+  exportProducts
+);
+
 /**
  * @swagger
  * /api/products/category/{categoryId}:
@@ -42,13 +120,107 @@ router.get("/category/:categoryId", getProductsByCategory);
 
 /**
  * @swagger
- * /api/products/{id}:
+ * /api/products/{idOrSlug}:
  *   get:
- *     summary: Get product by ID
+ *     summary: Get product by ID or slug
+ *     description: Old slugs answer with a 301 pointing at the current slug
  *     tags: [Products]
  */
 router.get("/:id", getProductById);
 
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   get:
+ *     summary: Get the options and variants of a product
+ *     tags: [Products]
+ */
+router.get("/:id/variants", getVariants);
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   get:
+ *     summary: Get the ordered image gallery of a product
+ *     tags: [Products]
+ */
+router.get("/:id/images", getProductImages);
+
+/**
+ * @swagger
+ * /api/products/{id}/related:
+ *   get:
+ *     summary: Frequently bought together, topped up with category bestsellers
+ *     description: >
+ *       Each product carries a reason (bought_together or category_bestseller).
+ *       refreshedAt is when the recommendations were last computed (null
+ *       before the first run).
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ */
+router.get("/:id/related", getRelatedProducts);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: Get approved reviews with the rating summary of a product
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, highest, lowest]
+ */
+router.get("/:id/reviews", getProductReviews);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   post:
+ *     summary: Review a product (1-5 rating, title and body)
+ *     description: >
+ *       One review per customer and product. Reviews are published once a
+ *       moderator approves them and are marked as verified purchases when
+ *       the customer has a delivered order containing the product.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:id/reviews",
+  authenticate({ requireVerifiedEmail: true }),
+  createReview
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}:
+ *   patch:
+ *     summary: Edit your review (it goes back to moderation)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch("/:id/reviews/:reviewId", authenticateToken, updateReview);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete your review (moderators can delete any review)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/:id/reviews/:reviewId", authenticateToken, deleteReview);
+
 /**
  * @swagger
  * /api/products:
@@ -58,7 +230,41 @@ router.get("/:id", getProductById);
  *     security:
  *       - bearerAuth: []
  */
-router.post("/", authenticateToken, requireAdmin, createProduct);
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("products:create"),
+  createProduct
+);
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Bulk create or update products by SKU (requires products:import)
+ *     description: >
+ *       Accepts a CSV file (text/csv) or a JSON array of products with the
+ *       columns sku, name, slug, description, price, category (name),
+ *       isActive, quantity and imageUrl, plus one attr.<key> column per
+ *       typed attribute. Rows are matched to existing products by sku, or
+ *       by slug when sku is empty. Answers with a per-row report.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Validate and report without saving anything
+ *         schema:
+ *           type: boolean
+ */
+router.post(
+  "/import",
+  authenticateToken,
+  requirePermission("products:import"),
+  csvBody,
+  importProducts
+);
 
 /**
  * @swagger
@@ -69,7 +275,12 @@ router.post("/", authenticateToken, requireAdmin, createProduct);
  *     security:
  *       - bearerAuth: []
  */
-router.put("/:id", authenticateToken, requireAdmin, updateProduct);
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("products:update"),
+  updateProduct
+);
 
 /**
  * @swagger
@@ -80,23 +291,219 @@ router.put("/:id", authenticateToken, requireAdmin, updateProduct);
  *     security:
  *       - bearerAuth: []
  */
-router.delete("/:id", authenticateToken, requireAdmin, deleteProduct);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("products:delete"),
+  deleteProduct
+);
 
 /**
  * @swagger
  * /api/products/{id}/inventory:
  *   patch:
  *     summary: Update product inventory
+ *     description: Token with inventory:update permission or API key with the inventory:write scope
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  */
+router.patch(
+  "/:id/inventory",
+  authenticateApiKey("inventory:write"),
+  updateInventory
+);
 router.patch(
   "/:id/inventory",
   authenticateToken,
-  requireAdmin,
+  requirePermission("inventory:update"),
   updateInventory
 );
 // Update inventory
 
+/**
+ * @swagger
+ * /api/products/{id}/options:
+ *   post:
+ *     summary: Add an option type (e.g. Size) with its values
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:id/options",
+  authenticateToken,
+  requirePermission("products:update"),
+  createOption
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/options/{optionId}:
+ *   put:
+ *     summary: Rename an option or add values to it
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/:id/options/:optionId",
+  authenticateToken,
+  requirePermission("products:update"),
+  updateOption
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/options/{optionId}:
+ *   delete:
+ *     summary: Delete an option and its values
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/:id/options/:optionId",
+  authenticateToken,
+  requirePermission("products:update"),
+  deleteOption
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     summary: Create a variant with its own SKU, price and stock
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:id/variants",
+  authenticateToken,
+  requirePermission("products:update"),
+  createVariant
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a variant
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/:id/variants/:variantId",
+  authenticateToken,
+  requirePermission("products:update"),
+  updateVariant
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a variant
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/:id/variants/:variantId",
+  authenticateToken,
+  requirePermission("products:update"),
+  deleteVariant
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}/inventory:
+ *   patch:
+ *     summary: Update variant inventory
+ *     description: Token with inventory:update permission or API key with the inventory:write scope
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ */
+router.patch(
+  "/:id/variants/:variantId/inventory",
+  authenticateApiKey("inventory:write"),
+  updateVariantInventory
+);
+router.patch(
+  "/:id/variants/:variantId/inventory",
+  authenticateToken,
+  requirePermission("inventory:update"),
+  updateVariantInventory
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Upload gallery images (multipart field "images", optional altText)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:id/images",
+  authenticateToken,
+  requirePermission("products:update"),
+  uploadImages,
+  uploadProductImages
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/order:
+ *   put:
+ *     summary: Reorder the gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/:id/images/order",
+  authenticateToken,
+  requirePermission("products:update"),
+  reorderProductImages
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   patch:
+ *     summary: Update alt text or make an image primary
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch(
+  "/:id/images/:imageId",
+  authenticateToken,
+  requirePermission("products:update"),
+  updateProductImage
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete a gallery image and its files
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  "/:id/images/:imageId",
+  authenticateToken,
+  requirePermission("products:update"),
+  deleteProductImage
+);
+
 module.exports = router;
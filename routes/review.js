@@ -0,0 +1,80 @@
+const express = require("express");
+const {
+  getReviewsForModeration,
+  moderateReview,
+  replyToReview,
+  deleteReviewReply,
+} = require("../controllers/reviewController");
+const { requirePermission, authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// 🛡️ REVIEW MODERATION (customers post reviews under /api/products/:id/reviews)
+router.use(authenticateToken, requirePermission("reviews:moderate"));
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   get:
+ *     summary: Moderation queue (requires reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, HIDDEN]
+ *           default: PENDING
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ */
+router.get("/", getReviewsForModeration);
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/status:
+ *   patch:
+ *     summary: Approve or hide a review (requires reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [APPROVED, HIDDEN]
+ */
+router.patch("/:reviewId/status", moderateReview);
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Add or replace the store reply to a review (requires reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put("/:reviewId/reply", replyToReview);
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/reply:
+ *   delete:
+ *     summary: Remove the store reply from a review (requires reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/:reviewId/reply", deleteReviewReply);
+
+module.exports = router;
@@ -1,56 +1,445 @@
 const express = require("express");
 const {
   getAllUsers,
+  exportUsersCsv,
   getOneUser,
   deleteUser,
   updateUser,
+  unlockUser,
+  updateUserRole,
+  getMe,
+  updateMe,
+  changePassword,
+  closeMyAccount,
+  exportMyData,
+  exportUserData,
+  updateUserStatus,
+  purgeUser,
 } = require("../controllers/userController");
-const { requireAdmin, authenticateToken } = require("../middleware/auth");
+const {
+  getMyAddresses,
+  getMyAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} = require("../controllers/addressController");
+const { getMyReviews } = require("../controllers/reviewController");
+const { requirePermission, authenticateToken } = require("../middleware/auth");
 
 const router = express.Router();
 
+// 👤 SELF-SERVICE ROUTES (declared before /:id)
+/**
+ * @swagger
+ * /api/user/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me", authenticateToken, getMe);
+
+/**
+ * @swagger
+ * /api/user/me:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: Changing the email resets verification and sends a new link
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ */
+router.patch("/me", authenticateToken, updateMe);
+
+/**
+ * @swagger
+ * /api/user/me/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ */
+router.put("/me/password", authenticateToken, changePassword);
+
+/**
+ * @swagger
+ * /api/user/me:
+ *   delete:
+ *     summary: Close the current user's account
+ *     description: Personal data and reviews are removed, orders are kept for accounting
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ */
+router.delete("/me", authenticateToken, closeMyAccount);
+
+/**
+ * @swagger
+ * /api/user/me/export:
+ *   get:
+ *     summary: Download everything stored about the current user (JSON)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me/export", authenticateToken, exportMyData);
+
+/**
+ * @swagger
+ * /api/user/me/reviews:
+ *   get:
+ *     summary: List the current user's reviews, including ones awaiting moderation
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me/reviews", authenticateToken, getMyReviews);
+
+// 📒 ADDRESS BOOK
+/**
+ * @swagger
+ * /api/user/me/addresses:
+ *   get:
+ *     summary: List the current user's saved addresses
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me/addresses", authenticateToken, getMyAddresses);
+
+/**
+ * @swagger
+ * /api/user/me/addresses:
+ *   post:
+ *     summary: Add an address to the address book
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               fullName:
+ *                 type: string
+ *               line1:
+ *                 type: string
+ *               line2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 code
+ *               phone:
+ *                 type: string
+ *               isDefaultShipping:
+ *                 type: boolean
+ *               isDefaultBilling:
+ *                 type: boolean
+ */
+router.post("/me/addresses", authenticateToken, createAddress);
+
+/**
+ * @swagger
+ * /api/user/me/addresses/{addressId}:
+ *   get:
+ *     summary: Get a saved address
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me/addresses/:addressId", authenticateToken, getMyAddress);
+
+/**
+ * @swagger
+ * /api/user/me/addresses/{addressId}:
+ *   patch:
+ *     summary: Update a saved address or its default flags
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch("/me/addresses/:addressId", authenticateToken, updateAddress);
+
+/**
+ * @swagger
+ * /api/user/me/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/me/addresses/:addressId", authenticateToken, deleteAddress);
+
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (admin only)
+ *     summary: List users with filters and order stats (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches email, first name or last name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, email, firstName, lastName, orderCount]
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  */
-router.get("/", authenticateToken, requireAdmin, getAllUsers);
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("users:read"),
+  getAllUsers
+);
+
+/**
+ * @swagger
+ * /api/users/export:
+ *   get:
+ *     summary: Export the filtered user list as CSV (requires users:export)
+ *     description: Accepts the same filters as GET /api/users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("users:export"),
+  exportUsersCsv
+);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
- *     summary: Get user by ID (admin only)
+ *     summary: Get user by ID (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
-router.get("/:id", authenticateToken, requireAdmin, getOneUser);
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("users:read"),
+  getOneUser
+);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: Delete user (admin only)
+ *     summary: Delete user (requires users:delete)
+ *     description: Personal data and reviews are removed, orders are kept for accounting
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
-router.delete("/:id", authenticateToken, requireAdmin, deleteUser);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("users:delete"),
+  deleteUser
+);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
- *     summary: Update user (admin only)
+ *     summary: Update user (requires users:update)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("users:update"),
+  updateUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Clear a login lockout (requires users:unlock)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  "/:id/unlock",
+  authenticateToken,
+  requirePermission("users:unlock"),
+  unlockUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (requires users:roles)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch(
+  "/:id/role",
+  authenticateToken,
+  requirePermission("users:roles"),
+  updateUserRole
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/export:
+ *   get:
+ *     summary: Download everything stored about a user (requires users:export)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get(
+  "/:id/export",
+  authenticateToken,
+  requirePermission("users:export"),
+  exportUserData
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/status:
+ *   patch:
+ *     summary: Suspend, deactivate or reactivate a user (requires users:status)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, SUSPENDED, DEACTIVATED]
+ *               reason:
+ *                 type: string
+ */
+router.patch(
+  "/:id/status",
+  authenticateToken,
+  requirePermission("users:status"),
+  updateUserStatus
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a user and their orders (requires users:purge)
+ *     description: The user must be suspended, deactivated or anonymized first
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               confirmEmail:
+ *                 type: string
  */
-router.put("/:id", authenticateToken, requireAdmin, updateUser);
+router.delete(
+  "/:id/purge",
+  authenticateToken,
+  requirePermission("users:purge"),
+  purgeUser
+);
 
 module.exports = router;
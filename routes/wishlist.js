@@ -0,0 +1,168 @@
+const express = require("express");
+const {
+  getWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveToCart,
+  getWishlists,
+  createWishlist,
+  getWishlistById,
+  updateWishlist,
+  deleteWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+} = require("../controllers/wishlistController");
+const { authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// 🔗 SHARED LISTS ARE PUBLIC AND READ-ONLY
+/**
+ * @swagger
+ * /api/wishlist/shared/{token}:
+ *   get:
+ *     summary: View a shared wishlist
+ *     tags: [Wishlist]
+ */
+router.get("/shared/:token", getSharedWishlist);
+
+// 🔐 EVERYTHING ELSE BELONGS TO THE SIGNED-IN CUSTOMER
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/wishlist:
+ *   get:
+ *     summary: Get the default wishlist with current prices and availability
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/", getWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/items:
+ *   post:
+ *     summary: Save a product to a wishlist (the default one unless wishlistId is given)
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *               wishlistId:
+ *                 type: string
+ */
+router.post("/items", addWishlistItem);
+
+/**
+ * @swagger
+ * /api/wishlist/items/{itemId}:
+ *   delete:
+ *     summary: Remove a product from a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/items/:itemId", removeWishlistItem);
+
+/**
+ * @swagger
+ * /api/wishlist/items/{itemId}/move-to-cart:
+ *   post:
+ *     summary: Move a wishlist item to the cart if it is in stock
+ *     description: Items saved without a variant need a variantId when the product is sold as variants
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/items/:itemId/move-to-cart", moveToCart);
+
+/**
+ * @swagger
+ * /api/wishlist/lists:
+ *   get:
+ *     summary: List the current user's wishlists
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/lists", getWishlists);
+
+/**
+ * @swagger
+ * /api/wishlist/lists:
+ *   post:
+ *     summary: Create a named wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/lists", createWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/lists/{listId}:
+ *   get:
+ *     summary: Get a wishlist with its items
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/lists/:listId", getWishlistById);
+
+/**
+ * @swagger
+ * /api/wishlist/lists/{listId}:
+ *   patch:
+ *     summary: Rename a wishlist or make it the default
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch("/lists/:listId", updateWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/lists/{listId}:
+ *   delete:
+ *     summary: Delete a wishlist and its items
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/lists/:listId", deleteWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/lists/{listId}/share:
+ *   post:
+ *     summary: Create a read-only share link for a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/lists/:listId/share", shareWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/lists/{listId}/share:
+ *   delete:
+ *     summary: Revoke the share link of a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/lists/:listId/share", unshareWishlist);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+const prisma = require("../config/database");
+const TokenService = require("./TokenService");
+
+// Skip the lastUsedAt write when the key was used within this window
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Keys look like "ek_<prefix>_<secret>". The prefix is stored in clear so
+// admins can tell keys apart, the full key only as a SHA-256 hash.
+class ApiKeyService {
+  static generate() {
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const secret = crypto.randomBytes(24).toString("hex");
+    const key = `ek_${prefix}_${secret}`;
+
+    return { key, prefix, keyHash: TokenService.hashToken(key) };
+  }
+
+  // Returns the active key record, or null when unknown, revoked or expired
+  static async verify(key) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: TokenService.hashToken(key) },
+    });
+
+    if (
+      !apiKey ||
+      apiKey.revokedAt ||
+      (apiKey.expiresAt && apiKey.expiresAt < new Date())
+    ) {
+      return null;
+    }
+
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION
+    ) {
+      await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date() },
+      });
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,222 @@
+const prisma = require("../config/database");
+const CategoryService = require("./CategoryService");
+
+const MAX_TEXT_LENGTH = 200;
+
+// Value columns of each attribute type
+const VALUE_COLUMNS = {
+  TEXT: "textValue",
+  ENUM: "textValue",
+  NUMBER: "numberValue",
+  BOOLEAN: "booleanValue",
+};
+
+// Checks one raw value against its definition. Returns { value } with the
+// value to store, or { error }.
+const parseValue = (definition, raw) => {
+  switch (definition.type) {
+    case "NUMBER": {
+      const number = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: `${definition.name} must be a number` };
+      }
+      return { value: number };
+    }
+    case "BOOLEAN": {
+      if (typeof raw === "boolean") {
+        return { value: raw };
+      }
+      if (raw === "true" || raw === "false") {
+        return { value: raw === "true" };
+      }
+      return { error: `${definition.name} must be true or false` };
+    }
+    case "ENUM": {
+      const option = definition.options.find(
+        (o) => o.toLowerCase() === String(raw).trim().toLowerCase()
+      );
+      if (!option) {
+        return {
+          error: `${definition.name} must be one of: ${definition.options.join(
+            ", "
+          )}`,
+        };
+      }
+      return { value: option };
+    }
+    default: {
+      const text = String(raw).trim();
+      if (!text || text.length > MAX_TEXT_LENGTH) {
+        return {
+          error: `${definition.name} must be 1-${MAX_TEXT_LENGTH} characters`,
+        };
+      }
+      return { value: text };
+    }
+  }
+};
+
+// Typed product attributes. Definitions belong to a category and apply to
+// products of that category and of every category below it.
+class AttributeService {
+  static valueColumn(type) {
+    return VALUE_COLUMNS[type];
+  }
+
+  // Definitions that apply to products of categoryId, root category first
+  static async definitionsFor(categoryId, tx = prisma) {
+    const path = await CategoryService.getBreadcrumbs(categoryId);
+    const definitions = await tx.attributeDefinition.findMany({
+      where: { categoryId: { in: path.map((category) => category.id) } },
+      orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+    });
+
+    const depth = new Map(path.map((category, i) => [category.id, i]));
+    return definitions.sort(
+      (a, b) => depth.get(a.categoryId) - depth.get(b.categoryId)
+    );
+  }
+
+  // A key may appear once along any branch: not in an ancestor (which the
+  // category inherits) nor in a descendant (which would inherit it)
+  static async keyInUse(categoryId, key) {
+    const [path, descendantIds] = await Promise.all([
+      CategoryService.getBreadcrumbs(categoryId),
+      CategoryService.getDescendantIds(categoryId),
+    ]);
+
+    const definition = await prisma.attributeDefinition.findFirst({
+      where: {
+        key,
+        categoryId: {
+          in: [...path.map((category) => category.id), ...descendantIds],
+        },
+      },
+      select: { id: true },
+    });
+    return Boolean(definition);
+  }
+
+  // Keys defined in the subtree of categoryId that the definitions of
+  // newParentId's branch already use; moving the subtree there would clash
+  static async conflictingKeys(categoryId, newParentId) {
+    if (!newParentId) {
+      return [];
+    }
+
+    const [path, descendantIds] = await Promise.all([
+      CategoryService.getBreadcrumbs(newParentId),
+      CategoryService.getDescendantIds(categoryId),
+    ]);
+
+    const [inherited, own] = await Promise.all([
+      prisma.attributeDefinition.findMany({
+        where: { categoryId: { in: path.map((category) => category.id) } },
+        select: { key: true },
+      }),
+      prisma.attributeDefinition.findMany({
+        where: { categoryId: { in: descendantIds } },
+        select: { key: true },
+      }),
+    ]);
+
+    const inheritedKeys = new Set(inherited.map((d) => d.key));
+    return [...new Set(own.map((d) => d.key))].filter((key) =>
+      inheritedKeys.has(key)
+    );
+  }
+
+  // Validates attributes ({ key: value }, null removes a value) against the
+  // definitions of the product's category. currentKeys are the keys the
+  // product already has a value for. Returns { values, removeIds } ready for
+  // save(), or { error }.
+  static validate(definitions, attributes = {}, currentKeys = []) {
+    const byKey = new Map(definitions.map((d) => [d.key, d]));
+    const values = [];
+    const removeIds = [];
+
+    for (const [key, raw] of Object.entries(attributes)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        return { error: `Unknown attribute "${key}" for this category` };
+      }
+
+      if (raw === null) {
+        removeIds.push(definition.id);
+        continue;
+      }
+
+      const { value, error } = parseValue(definition, raw);
+      if (error) {
+        return { error };
+      }
+      values.push({
+        definitionId: definition.id,
+        key,
+        column: this.valueColumn(definition.type),
+        value,
+      });
+    }
+
+    const present = new Set([...currentKeys, ...values.map((v) => v.key)]);
+    for (const definition of definitions) {
+      const removed = removeIds.includes(definition.id);
+      if (definition.required && (removed || !present.has(definition.key))) {
+        return { error: `${definition.name} is required` };
+      }
+    }
+
+    return { values, removeIds };
+  }
+
+  // Writes a validate() result. Values of definitions outside
+  // applicableIds (e.g. after a category change) are dropped.
+  static async save(tx, productId, { values, removeIds }, applicableIds) {
+    for (const { definitionId, column, value } of values) {
+      await tx.productAttributeValue.upsert({
+        where: { productId_definitionId: { productId, definitionId } },
+        update: { [column]: value },
+        create: { productId, definitionId, [column]: value },
+      });
+    }
+
+    await tx.productAttributeValue.deleteMany({
+      where: {
+        productId,
+        OR: [
+          { definitionId: { in: removeIds } },
+          ...(applicableIds
+            ? [{ definitionId: { notIn: applicableIds } }]
+            : []),
+        ],
+      },
+    });
+  }
+
+  // Keys the product currently has a value for, limited to definitions
+  static async currentKeys(productId, definitions, tx = prisma) {
+    const rows = await tx.productAttributeValue.findMany({
+      where: {
+        productId,
+        definitionId: { in: definitions.map((d) => d.id) },
+      },
+      select: { definition: { select: { key: true } } },
+    });
+    return rows.map((row) => row.definition.key);
+  }
+
+  // Response shape: [{ key, name, type, unit, value }] in definition order
+  static format(attributeValues = []) {
+    return [...attributeValues]
+      .sort((a, b) => a.definition.position - b.definition.position)
+      .map(({ definition, ...row }) => ({
+        key: definition.key,
+        name: definition.name,
+        type: definition.type,
+        unit: definition.unit,
+        value: row[this.valueColumn(definition.type)],
+      }));
+  }
+}
+
+module.exports = AttributeService;
@@ -0,0 +1,22 @@
+const prisma = require("../config/database");
+
+// Append-only record of security-relevant actions (who did what to what)
+class AuditService {
+  static async record(
+    { action, actorId, targetType, targetId, metadata, req },
+    tx = prisma
+  ) {
+    return tx.auditLog.create({
+      data: {
+        action,
+        actorId,
+        targetType,
+        targetId,
+        metadata,
+        ipAddress: req ? req.ip : undefined,
+      },
+    });
+  }
+}
+
+module.exports = AuditService;
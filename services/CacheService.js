@@ -1,4 +1,8 @@
 const { client } = require("../config/redis");
+const {
+  categoryNodeSelect,
+  buildCategoryTree,
+} = require("../utils/categoryTree");
 
 class CacheService {
   // Generic cache methods
@@ -61,12 +65,31 @@ class CacheService {
     await this.del(key);
     // Also invalidate related caches
     await this.delPattern(`products:*`);
-    await this.delPattern(`category:*:products`);
+    await this.delPattern(`category:*:products:*`);
+    await this.delPattern(`facets:*`);
+    // Tree nodes carry product counts
+    await this.del("categories:tree");
   }
 
   // Products list caching
-  static async getProductsList(params) {
-    const key = this.generateCacheKey(
+  // attr.* filters as "brand=acme,globex;weight_lt=2"; parsed filters are
+  // already sorted, so equal queries share a key
+  static attributeFiltersKey(attributes = []) {
+    if (attributes.length === 0) {
+      return "none";
+    }
+    return attributes
+      .map(
+        ({ key, op, values }) =>
+          `${op === "eq" ? key : `${key}_${op}`}=${values
+            .map((value) => value.toLowerCase())
+            .join(",")}`
+      )
+      .join(";");
+  }
+
+  static productsListKey(params) {
+    return this.generateCacheKey(
       "products",
       params.page || 1,
       params.limit || 10,
@@ -76,40 +99,55 @@ class CacheService {
       params.maxPrice || "max",
       params.isActive !== undefined ? params.isActive : "true",
       params.sortBy || "createdAt",
-      params.sortOrder || "desc"
+      params.sortOrder || "desc",
+      params.inStock !== undefined ? params.inStock : "any",
+      this.attributeFiltersKey(params.attributes)
     );
-    return await this.get(key);
+  }
+
+  static async getProductsList(params) {
+    return await this.get(this.productsListKey(params));
   }
 
   static async setProductsList(params, data, ttl = 600) {
     // 10 minutes
-    const key = this.generateCacheKey(
-      "products",
-      params.page || 1,
-      params.limit || 10,
+    await this.set(this.productsListKey(params), data, ttl);
+  }
+
+  // Facets depend on the filters only, not on paging or sorting
+  static productFacetsKey(params) {
+    return this.generateCacheKey(
+      "facets",
       params.categoryId || "all",
-      params.search || "none",
+      (params.search || "none").toLowerCase(),
       params.minPrice || "min",
       params.maxPrice || "max",
       params.isActive !== undefined ? params.isActive : "true",
-      params.sortBy || "createdAt",
-      params.sortOrder || "desc"
+      params.inStock !== undefined ? params.inStock : "any",
+      this.attributeFiltersKey(params.attributes)
     );
-    await this.set(key, data, ttl);
+  }
+
+  static async getProductFacets(params) {
+    return await this.get(this.productFacetsKey(params));
+  }
+
+  static async setProductFacets(params, data, ttl = 600) {
+    await this.set(this.productFacetsKey(params), data, ttl);
   }
 
   // Category caching methods
-  static async getCategories() {
-    return await this.get("categories:all");
+  static async getCategoryTree() {
+    return await this.get("categories:tree");
   }
 
-  static async setCategories(data, ttl = 3600) {
+  static async setCategoryTree(tree, ttl = 3600) {
     // 1 hour
-    await this.set("categories:all", data, ttl);
+    await this.set("categories:tree", tree, ttl);
   }
 
   static async invalidateCategories() {
-    await this.del("categories:all");
+    await this.del("categories:tree");
     await this.delPattern("category:*");
   }
 
@@ -124,24 +162,39 @@ class CacheService {
   }
 
   // Category products caching
-  static async getCategoryProducts(categoryId, page = 1, limit = 10) {
+  // scope is "own" for the category itself or "tree" to include descendants
+  static async getCategoryProducts(
+    categoryId,
+    page = 1,
+    limit = 10,
+    scope = "own"
+  ) {
     const key = this.generateCacheKey(
       "category",
       categoryId,
       "products",
       page,
-      limit
+      limit,
+      scope
     );
     return await this.get(key);
   }
 
-  static async setCategoryProducts(categoryId, page, limit, data, ttl = 600) {
+  static async setCategoryProducts(
+    categoryId,
+    page,
+    limit,
+    data,
+    ttl = 600,
+    scope = "own"
+  ) {
     const key = this.generateCacheKey(
       "category",
       categoryId,
       "products",
       page,
-      limit
+      limit,
+      scope
     );
     await this.set(key, data, ttl);
   }
@@ -279,8 +332,10 @@ class CacheService {
     await Promise.all([
       this.delPattern("product:*"),
       this.delPattern("products:*"),
-      this.delPattern("category:*:products"),
+      this.delPattern("category:*:products:*"),
+      this.del("categories:tree"),
       this.delPattern("search:*"),
+      this.delPattern("facets:*"),
       this.delPattern("inventory:*"),
     ]);
   }
@@ -323,8 +378,10 @@ class CacheService {
 
   static async warmCategoriesCache(prisma) {
     try {
-      const categories = await prisma.category.findMany();
-      await this.setCategories(categories);
+      const categories = await prisma.category.findMany({
+        select: categoryNodeSelect,
+      });
+      await this.setCategoryTree(buildCategoryTree(categories));
     } catch (error) {
       console.error("Cache warming error for categories:", error);
     }
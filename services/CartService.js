@@ -0,0 +1,156 @@
+const prisma = require("../config/database");
+const {
+  effectivePrice,
+  variantName,
+  variantInclude,
+  availableQuantity,
+} = require("../utils/variants");
+
+const cartItemInclude = {
+  product: {
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      imageUrl: true,
+    },
+  },
+  variant: {
+    select: {
+      id: true,
+      sku: true,
+      price: true,
+      imageUrl: true,
+      optionValues: variantInclude.optionValues,
+    },
+  },
+};
+
+// Cart writes shared by the cart endpoints and the wishlist move-to-cart
+class CartService {
+  static get itemInclude() {
+    return cartItemInclude;
+  }
+
+  // Adds the price the customer pays and a readable variant label
+  static withItemPrice(item) {
+    return {
+      ...item,
+      unitPrice: parseFloat(effectivePrice(item.product, item.variant)),
+      variantName: item.variant ? variantName(item.variant) : null,
+    };
+  }
+
+  // Adds quantity units of a product (or one of its variants) to the user's
+  // cart after checking availability and stock. Returns { cartItem }, or
+  // { status, message } describing why the item cannot be added.
+  static async addItem(userId, { productId, variantId, quantity }) {
+    // Check if product exists and is active
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: {
+        inventory: true,
+        _count: { select: { variants: { where: { isActive: true } } } },
+      },
+    });
+
+    if (!product) {
+      return { status: 404, message: "Product not found" };
+    }
+
+    if (!product.isActive) {
+      return { status: 400, message: "Product is not available" };
+    }
+
+    let variant = null;
+    if (variantId) {
+      variant = await prisma.productVariant.findFirst({
+        where: { id: variantId, productId },
+        include: { inventory: true },
+      });
+
+      if (!variant) {
+        return { status: 404, message: "Variant not found" };
+      }
+
+      if (!variant.isActive) {
+        return { status: 400, message: "Variant is not available" };
+      }
+    } else if (product._count.variants > 0) {
+      return {
+        status: 400,
+        message: "Please select a variant of this product",
+      };
+    }
+
+    // Check inventory
+    const stock = availableQuantity({ product, variant });
+    if (stock < quantity) {
+      return { status: 400, message: `Only ${stock} items available in stock` };
+    }
+
+    // Get or create user's cart
+    let cart = await prisma.cart.findUnique({
+      where: { userId },
+    });
+
+    if (!cart) {
+      cart = await prisma.cart.create({
+        data: { userId },
+      });
+    }
+
+    // Check if item already exists in cart
+    const existingCartItem = await prisma.cartItem.findFirst({
+      where: {
+        cartId: cart.id,
+        productId,
+        variantId: variantId || null,
+      },
+    });
+
+    if (existingCartItem) {
+      // Update existing item
+      const newQuantity = existingCartItem.quantity + quantity;
+
+      // Check total quantity against inventory
+      if (stock < newQuantity) {
+        return {
+          status: 400,
+          message: `Cannot add ${quantity} more items. Only ${
+            stock - existingCartItem.quantity
+          } more available`,
+        };
+      }
+
+      const cartItem = await prisma.cartItem.update({
+        where: { id: existingCartItem.id },
+        data: { quantity: newQuantity },
+        include: cartItemInclude,
+      });
+      return { cartItem };
+    }
+
+    // Create new cart item
+    try {
+      const cartItem = await prisma.cartItem.create({
+        data: {
+          cartId: cart.id,
+          productId,
+          variantId,
+          quantity,
+        },
+        include: cartItemInclude,
+      });
+      return { cartItem };
+    } catch (err) {
+      // A concurrent request created the row first; add to it instead
+      if (err.code === "P2002") {
+        return this.addItem(userId, { productId, variantId, quantity });
+      }
+      throw err;
+    }
+  }
+}
+
+module.exports = CartService;
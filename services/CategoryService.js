@@ -0,0 +1,68 @@
+const prisma = require("../config/database");
+const CacheService = require("./CacheService");
+const {
+  categoryNodeSelect,
+  buildCategoryTree,
+  indexCategoryTree,
+  getBreadcrumbs,
+  getDescendantIds,
+} = require("../utils/categoryTree");
+
+// Read access to the category hierarchy, served from the cached tree
+class CategoryService {
+  static async getTree() {
+    let tree = await CacheService.getCategoryTree();
+
+    if (!tree) {
+      const categories = await prisma.category.findMany({
+        select: categoryNodeSelect,
+      });
+      tree = buildCategoryTree(categories);
+
+      await CacheService.setCategoryTree(tree);
+    }
+
+    return tree;
+  }
+
+  static async getIndex() {
+    return indexCategoryTree(await this.getTree());
+  }
+
+  static async getBreadcrumbs(categoryId) {
+    return getBreadcrumbs(await this.getIndex(), categoryId);
+  }
+
+  // Adds a breadcrumbs path to each product that has a categoryId
+  static async withBreadcrumbs(products) {
+    const index = await this.getIndex();
+    return products.map((product) => ({
+      ...product,
+      breadcrumbs: getBreadcrumbs(index, product.categoryId),
+    }));
+  }
+
+  static async getDescendantIds(categoryId) {
+    return getDescendantIds(await this.getIndex(), categoryId);
+  }
+
+  // True when candidateId is categoryId itself or somewhere below it.
+  // Walks up from the candidate against the database, not the cache, since
+  // it guards writes to the tree.
+  static async isInSubtree(categoryId, candidateId) {
+    let currentId = candidateId;
+    while (currentId) {
+      if (currentId === categoryId) {
+        return true;
+      }
+      const category = await prisma.category.findUnique({
+        where: { id: currentId },
+        select: { parentId: true },
+      });
+      currentId = category?.parentId;
+    }
+    return false;
+  }
+}
+
+module.exports = CategoryService;
@@ -0,0 +1,183 @@
+const prisma = require("../config/database");
+const CategoryService = require("./CategoryService");
+const { priceRangeWhere, stockWhere } = require("../utils/productFilters");
+
+// Upper bounds of the price buckets; the last bucket is open-ended
+const PRICE_BUCKET_LIMITS = [25, 50, 100, 250, 500];
+
+// Storefront facets. Each facet is counted with every applied filter except
+// its own, so the sidebar can show how many products each choice would give.
+class FacetService {
+  // buildWhere(except) returns the product where clause without the
+  // filter named by except. attributeKeys are the keys of the applied
+  // attr.* filters.
+  static async compute(buildWhere, attributeKeys = []) {
+    const [categories, priceRanges, availability, attributes, specs] =
+      await Promise.all([
+        this.categoryFacet(buildWhere("category")),
+        this.priceFacet(buildWhere("price")),
+        this.stockFacet(buildWhere("stock")),
+        this.attributeFacet(buildWhere()),
+        this.specFacet(buildWhere, attributeKeys),
+      ]);
+
+    return { categories, priceRanges, availability, attributes, specs };
+  }
+
+  static async categoryFacet(where) {
+    const groups = await prisma.product.groupBy({
+      by: ["categoryId"],
+      where,
+      _count: { _all: true },
+    });
+
+    const index = await CategoryService.getIndex();
+
+    return groups
+      .map((group) => ({
+        id: group.categoryId,
+        name: index.get(group.categoryId)?.name || null,
+        count: group._count._all,
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  static async priceFacet(where) {
+    const buckets = [0, ...PRICE_BUCKET_LIMITS].map((min, i) => ({
+      min,
+      max: PRICE_BUCKET_LIMITS[i] ?? null,
+    }));
+
+    const counts = await Promise.all(
+      buckets.map((bucket) =>
+        prisma.product.count({
+          where: {
+            AND: [
+              where,
+              priceRangeWhere(bucket.min, bucket.max, { exclusiveMax: true }),
+            ],
+          },
+        })
+      )
+    );
+
+    return buckets.map((bucket, i) => ({ ...bucket, count: counts[i] }));
+  }
+
+  static async stockFacet(where) {
+    const [inStock, outOfStock] = await Promise.all([
+      prisma.product.count({ where: { AND: [where, stockWhere(true)] } }),
+      prisma.product.count({ where: { AND: [where, stockWhere(false)] } }),
+    ]);
+
+    return { inStock, outOfStock };
+  }
+
+  // Option values offered by active variants of the matching products,
+  // e.g. Size: M (12). Each option value row belongs to one product.
+  static async attributeFacet(where) {
+    const optionValues = await prisma.productOptionValue.findMany({
+      where: {
+        option: { product: where },
+        variants: { some: { isActive: true } },
+      },
+      select: {
+        value: true,
+        option: { select: { name: true } },
+      },
+    });
+
+    const attributes = new Map();
+    for (const { value, option } of optionValues) {
+      if (!attributes.has(option.name)) {
+        attributes.set(option.name, new Map());
+      }
+      const values = attributes.get(option.name);
+      values.set(value, (values.get(value) || 0) + 1);
+    }
+
+    return [...attributes].map(([name, values]) => ({
+      name,
+      values: [...values]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count),
+    }));
+  }
+
+  static async specValues(productWhere, keyWhere) {
+    return prisma.productAttributeValue.findMany({
+      where: {
+        product: productWhere,
+        definition: { filterable: true, key: keyWhere },
+      },
+      select: {
+        textValue: true,
+        numberValue: true,
+        booleanValue: true,
+        definition: {
+          select: { key: true, name: true, type: true, unit: true },
+        },
+      },
+    });
+  }
+
+  // Filterable typed attributes of the matching products: value counts for
+  // text, enum and boolean attributes, the range for numbers. Keys shared by
+  // several categories are merged, as the attr.<key> filters are. A key
+  // with an applied filter is counted without that filter.
+  static async specFacet(buildWhere, attributeKeys) {
+    const filteredKeys = [...new Set(attributeKeys)];
+    const rows = (
+      await Promise.all([
+        this.specValues(buildWhere(), { notIn: filteredKeys }),
+        ...filteredKeys.map((key) =>
+          this.specValues(buildWhere(`attr.${key}`), key)
+        ),
+      ])
+    ).flat();
+
+    const specs = new Map();
+    for (const { definition, ...row } of rows) {
+      if (!specs.has(definition.key)) {
+        specs.set(definition.key, {
+          key: definition.key,
+          name: definition.name,
+          type: definition.type,
+          unit: definition.unit,
+          values: new Map(),
+          min: null,
+          max: null,
+        });
+      }
+      const spec = specs.get(definition.key);
+
+      if (definition.type === "NUMBER") {
+        spec.min =
+          spec.min === null
+            ? row.numberValue
+            : Math.min(spec.min, row.numberValue);
+        spec.max =
+          spec.max === null
+            ? row.numberValue
+            : Math.max(spec.max, row.numberValue);
+      } else {
+        const value =
+          definition.type === "BOOLEAN" ? row.booleanValue : row.textValue;
+        spec.values.set(value, (spec.values.get(value) || 0) + 1);
+      }
+    }
+
+    return [...specs.values()].map(({ values, min, max, ...spec }) =>
+      spec.type === "NUMBER"
+        ? { ...spec, min, max }
+        : {
+            ...spec,
+            values: [...values]
+              .map(([value, count]) => ({ value, count }))
+              .sort((a, b) => b.count - a.count),
+          }
+    );
+  }
+}
+
+module.exports = FacetService;
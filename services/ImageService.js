@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const StorageService = require("./StorageService");
+
+// Longest edge in pixels of each generated size
+const IMAGE_SIZES = {
+  thumb: 150,
+  small: 400,
+  medium: 800,
+  large: 1600,
+};
+
+const ALLOWED_FORMATS = ["jpeg", "png", "webp", "gif", "avif"];
+
+// Stores an uploaded image together with resized WebP copies
+class ImageService {
+  // Image metadata, or null when the file is not a supported image.
+  // The declared mimetype is not trusted; the content is decoded.
+  static async inspect(file) {
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      return ALLOWED_FORMATS.includes(metadata.format) ? metadata : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // folder groups the files, e.g. "products/<id>" or "categories/<id>".
+  // Call inspect() first. Returns { url, sizes, width, height, storageKeys }.
+  static async store(file, folder, metadata) {
+    const base = `${folder}/${crypto.randomUUID()}`;
+    const storageKeys = [];
+
+    const originalKey = `${base}/original.${metadata.format}`;
+    const url = await StorageService.put(
+      originalKey,
+      file.buffer,
+      file.mimetype
+    );
+    storageKeys.push(originalKey);
+
+    const sizes = {};
+    try {
+      for (const [name, size] of Object.entries(IMAGE_SIZES)) {
+        const buffer = await sharp(file.buffer)
+          .rotate()
+          .resize(size, size, { fit: "inside", withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+
+        const key = `${base}/${name}.webp`;
+        sizes[name] = await StorageService.put(key, buffer, "image/webp");
+        storageKeys.push(key);
+      }
+    } catch (error) {
+      await StorageService.deleteMany(storageKeys);
+      throw error;
+    }
+
+    return {
+      url,
+      sizes,
+      width: metadata.width,
+      height: metadata.height,
+      storageKeys,
+    };
+  }
+}
+
+module.exports = ImageService;
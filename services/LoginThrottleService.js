@@ -0,0 +1,116 @@
+const { client } = require("../config/redis");
+
+const ATTEMPT_WINDOW =
+  parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || "15") * 60;
+const LOCKOUT_DURATION =
+  parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15") * 60;
+const MAX_FAILURES_PER_EMAIL = parseInt(
+  process.env.LOGIN_MAX_FAILURES_PER_EMAIL || "5"
+);
+const MAX_FAILURES_PER_IP = parseInt(
+  process.env.LOGIN_MAX_FAILURES_PER_IP || "20"
+);
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY = 30;
+
+// Failed login counters kept per email and per IP.
+// - after FREE_ATTEMPTS failures for an email, attempts are spaced out by an
+//   exponentially growing delay (429)
+// - after MAX_FAILURES_PER_EMAIL the account is locked for LOCKOUT_DURATION (423)
+// - after MAX_FAILURES_PER_IP the IP is blocked until its window expires (429)
+class LoginThrottleService {
+  static normalizeEmail(email) {
+    return email.trim().toLowerCase();
+  }
+
+  static keys(email, ip) {
+    const normalized = this.normalizeEmail(email);
+    return {
+      emailFailures: `login:fail:email:${normalized}`,
+      ipFailures: `login:fail:ip:${ip}`,
+      lock: `login:lock:email:${normalized}`,
+      delay: `login:delay:email:${normalized}`,
+    };
+  }
+
+  // Returns null when the attempt may proceed, otherwise
+  // { status, error, retryAfter } describing why it is blocked.
+  static async check(email, ip) {
+    const keys = this.keys(email, ip);
+
+    const lockTtl = await client.ttl(keys.lock);
+    if (lockTtl > 0) {
+      return {
+        status: 423,
+        error:
+          "Account temporarily locked due to too many failed login attempts",
+        retryAfter: lockTtl,
+      };
+    }
+
+    const ipFailures = parseInt((await client.get(keys.ipFailures)) || "0");
+    if (ipFailures >= MAX_FAILURES_PER_IP) {
+      return {
+        status: 429,
+        error: "Too many failed login attempts from this IP address",
+        retryAfter: Math.max(await client.ttl(keys.ipFailures), 1),
+      };
+    }
+
+    const delayTtl = await client.ttl(keys.delay);
+    if (delayTtl > 0) {
+      return {
+        status: 429,
+        error: "Too many failed login attempts, please wait before retrying",
+        retryAfter: delayTtl,
+      };
+    }
+
+    return null;
+  }
+
+  // Count a failed attempt. Returns the block that now applies, if any.
+  static async recordFailure(email, ip) {
+    const keys = this.keys(email, ip);
+
+    const [emailFailures] = await client
+      .multi()
+      .incr(keys.emailFailures)
+      .expire(keys.emailFailures, ATTEMPT_WINDOW, "NX")
+      .incr(keys.ipFailures)
+      .expire(keys.ipFailures, ATTEMPT_WINDOW, "NX")
+      .exec();
+
+    if (emailFailures >= MAX_FAILURES_PER_EMAIL) {
+      await client.setEx(keys.lock, LOCKOUT_DURATION, "1");
+      await client.del([keys.emailFailures, keys.delay]);
+      return {
+        status: 423,
+        error:
+          "Account temporarily locked due to too many failed login attempts",
+        retryAfter: LOCKOUT_DURATION,
+      };
+    }
+
+    if (emailFailures > FREE_ATTEMPTS) {
+      const delay = Math.min(2 ** (emailFailures - FREE_ATTEMPTS), MAX_DELAY);
+      await client.setEx(keys.delay, delay, "1");
+    }
+
+    return null;
+  }
+
+  static async recordSuccess(email) {
+    const keys = this.keys(email, "");
+    await client.del([keys.emailFailures, keys.delay]);
+  }
+
+  // Admin unlock: clears the lock and the failure history of an account
+  static async unlock(email) {
+    const keys = this.keys(email, "");
+    await client.del([keys.lock, keys.emailFailures, keys.delay]);
+  }
+}
+
+module.exports = LoginThrottleService;
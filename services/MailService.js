@@ -0,0 +1,92 @@
+const consoleTransport = require("./mail/consoleTransport");
+const createFileTransport = require("./mail/fileTransport");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// A transport is any object with an async send({ to, subject, text }) method.
+// Real providers (SMTP, SES, ...) can be plugged in with setTransport().
+const transports = {
+  console: () => consoleTransport,
+  file: () => createFileTransport(),
+};
+
+let transport = null;
+
+class MailService {
+  static setTransport(newTransport) {
+    transport = newTransport;
+  }
+
+  static getTransport() {
+    if (!transport) {
+      const name = process.env.MAIL_TRANSPORT || "console";
+      if (!transports[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      transport = transports[name]();
+    }
+    return transport;
+  }
+
+  static async send(message) {
+    await this.getTransport().send({
+      from: process.env.MAIL_FROM || "no-reply@ecommerce.local",
+      ...message,
+    });
+  }
+
+  static async sendPasswordReset(user, token, ttlMinutes) {
+    const resetUrl = `${APP_URL}/reset-password?token=${token}`;
+
+    await this.send({
+      to: user.email,
+      subject: "Reset your password",
+      text: [
+        `Hi ${user.firstName},`,
+        "",
+        "We received a request to reset your password. Use the link below to choose a new one:",
+        resetUrl,
+        "",
+        `The link expires in ${ttlMinutes} minutes and can only be used once.`,
+        "If you did not request this, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  static async sendEmailVerification(user, token, ttlHours) {
+    const verifyUrl = `${APP_URL}/verify-email?token=${token}`;
+
+    await this.send({
+      to: user.email,
+      subject: "Verify your email address",
+      text: [
+        `Hi ${user.firstName},`,
+        "",
+        "Please confirm your email address by opening the link below:",
+        verifyUrl,
+        "",
+        `The link expires in ${ttlHours} hours.`,
+      ].join("\n"),
+    });
+  }
+
+  static async sendAdminInvitation(invitation, token, inviter) {
+    const acceptUrl = `${APP_URL}/accept-invitation?token=${token}`;
+
+    await this.send({
+      to: invitation.email,
+      subject: "You have been invited to join the team",
+      text: [
+        "Hi,",
+        "",
+        `${inviter.firstName} ${inviter.lastName} invited you to create a staff account with the ${invitation.role} role.`,
+        "Open the link below to accept the invitation:",
+        acceptUrl,
+        "",
+        `The invitation expires on ${invitation.expiresAt.toISOString()}.`,
+      ].join("\n"),
+    });
+  }
+}
+
+module.exports = MailService;
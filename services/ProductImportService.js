@@ -0,0 +1,424 @@
+const prisma = require("../config/database");
+const SlugService = require("./SlugService");
+const AttributeService = require("./AttributeService");
+const { createProductSchema } = require("../validations/productValidation");
+
+// Columns shared by the import and the export, so an exported catalog can be
+// edited and imported again. Products are matched by sku, or by slug for
+// rows without one.
+const CATALOG_COLUMNS = [
+  "sku",
+  "name",
+  "slug",
+  "description",
+  "price",
+  "category",
+  "isActive",
+  "quantity",
+  "imageUrl",
+];
+
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS || "5000");
+const EXPORT_BATCH_SIZE = 500;
+
+// Typed attributes travel as one attr.<key> column per attribute
+const ATTRIBUTE_COLUMN_PATTERN = /^attr\.(.+)$/;
+
+// Blank CSV cells and JSON nulls count as "not provided"
+const isProvided = (value) =>
+  value !== undefined && value !== null && String(value).trim() !== "";
+
+const compactRow = (row) =>
+  Object.fromEntries(
+    CATALOG_COLUMNS.filter((column) => isProvided(row[column])).map(
+      (column) => [column, row[column]]
+    )
+  );
+
+// { key: value } of the attr.<key> columns present in the row
+const attributeColumns = (row) =>
+  Object.fromEntries(
+    Object.entries(row)
+      .map(([column, value]) => [ATTRIBUTE_COLUMN_PATTERN.exec(column), value])
+      .filter(([match, value]) => match && isProvided(value))
+      .map(([match, value]) => [match[1], value])
+  );
+
+// Bulk catalog upsert. Every row is checked and written on its own, so one
+// bad row is reported without rejecting the rest of the file.
+class ProductImportService {
+  static get maxRows() {
+    return MAX_IMPORT_ROWS;
+  }
+
+  // CATALOG_COLUMNS followed by the attr.<key> columns used by rows
+  static exportColumns(rows) {
+    const attributeKeys = new Set(
+      rows.flatMap((row) =>
+        Object.keys(row).filter((column) =>
+          ATTRIBUTE_COLUMN_PATTERN.test(column)
+        )
+      )
+    );
+    return [...CATALOG_COLUMNS, ...[...attributeKeys].sort()];
+  }
+
+  // Category names are unique; matching ignores case
+  static async categoryIdsByName() {
+    const categories = await prisma.category.findMany({
+      select: { id: true, name: true },
+    });
+    return new Map(categories.map((c) => [c.name.toLowerCase(), c.id]));
+  }
+
+  // Returns { sku, data, attributes, provided } or { error }. sku is null
+  // for rows matched by slug. provided lists the optional columns present in
+  // the row, which are the only ones an update overwrites.
+  static validateRow(row, categoryIds) {
+    const values = compactRow(row);
+
+    if (!values.sku && !values.slug) {
+      return { error: "sku or slug is required" };
+    }
+
+    if (!values.category) {
+      return { error: "category is required" };
+    }
+
+    const categoryId = categoryIds.get(
+      String(values.category).trim().toLowerCase()
+    );
+    if (!categoryId) {
+      return { error: `Category "${values.category}" not found` };
+    }
+
+    const { error, value } = createProductSchema.validate({
+      sku: values.sku === undefined ? undefined : String(values.sku),
+      name: values.name,
+      slug: values.slug,
+      description: values.description,
+      price: values.price,
+      imageUrl: values.imageUrl,
+      categoryId,
+      isActive: values.isActive,
+      initialQuantity: values.quantity,
+    });
+    if (error) {
+      return { error: error.details[0].message };
+    }
+
+    return {
+      sku: value.sku || null,
+      data: value,
+      attributes: attributeColumns(row),
+      provided: new Set(Object.keys(values)),
+    };
+  }
+
+  // Resolves the slug a row ends up with, or returns { error } when a
+  // requested slug belongs to another product or an earlier row
+  static async planSlug(data, existing, claimedSlugs) {
+    let slug;
+    if (data.slug) {
+      if (
+        claimedSlugs.has(data.slug) ||
+        (await SlugService.isTaken("product", data.slug, existing?.id))
+      ) {
+        return { error: "This slug is already in use" };
+      }
+      slug = data.slug;
+    } else if (!existing) {
+      slug = await SlugService.generate("product", data.name);
+    } else if (data.name !== existing.name) {
+      slug = await SlugService.generate("product", data.name, existing.id);
+    } else {
+      slug = existing.slug;
+    }
+
+    // Generated slugs can collide with other rows of the same file
+    if (claimedSlugs.has(slug)) {
+      return { error: "This slug is already in use" };
+    }
+    return { slug };
+  }
+
+  // Checks the row's attr.<key> values against the definitions of its
+  // category. Like the product update endpoint, an update is only checked
+  // when it sets attributes or moves the product to another category; the
+  // values that no longer apply are then dropped. Returns
+  // { attributeValues, applicableIds }, {} when there is nothing to write,
+  // or { error }. definitionsByCategory caches definitions for the run.
+  static async planAttributes(
+    existing,
+    data,
+    attributes,
+    definitionsByCategory
+  ) {
+    const categoryChanged = existing && existing.categoryId !== data.categoryId;
+    if (existing && !categoryChanged && Object.keys(attributes).length === 0) {
+      return {};
+    }
+
+    if (!definitionsByCategory.has(data.categoryId)) {
+      definitionsByCategory.set(
+        data.categoryId,
+        await AttributeService.definitionsFor(data.categoryId)
+      );
+    }
+    const definitions = definitionsByCategory.get(data.categoryId);
+
+    const attributeValues = AttributeService.validate(
+      definitions,
+      attributes,
+      existing
+        ? await AttributeService.currentKeys(existing.id, definitions)
+        : []
+    );
+    if (attributeValues.error) {
+      return { error: attributeValues.error };
+    }
+
+    return {
+      attributeValues,
+      applicableIds: definitions.map((definition) => definition.id),
+    };
+  }
+
+  static async createProduct(tx, data, slug, { attributeValues }) {
+    await SlugService.claim("product", slug, tx);
+
+    const product = await tx.product.create({
+      data: {
+        sku: data.sku,
+        name: data.name,
+        slug,
+        description: data.description,
+        price: data.price,
+        imageUrl: data.imageUrl,
+        categoryId: data.categoryId,
+        isActive: data.isActive,
+      },
+    });
+
+    await tx.inventory.create({
+      data: { productId: product.id, quantity: data.initialQuantity },
+    });
+
+    await AttributeService.save(tx, product.id, attributeValues);
+
+    return product;
+  }
+
+  static async updateProduct(
+    tx,
+    existing,
+    data,
+    provided,
+    slug,
+    { attributeValues, applicableIds }
+  ) {
+    // The old slug keeps working as a redirect
+    await SlugService.recordChange(
+      "product",
+      existing.id,
+      existing.slug,
+      slug,
+      tx
+    );
+
+    const product = await tx.product.update({
+      where: { id: existing.id },
+      data: {
+        name: data.name,
+        slug,
+        price: data.price,
+        categoryId: data.categoryId,
+        ...(provided.has("description") && { description: data.description }),
+        ...(provided.has("imageUrl") && { imageUrl: data.imageUrl }),
+        ...(provided.has("isActive") && { isActive: data.isActive }),
+      },
+    });
+
+    if (provided.has("quantity")) {
+      await tx.inventory.upsert({
+        where: { productId: existing.id },
+        update: { quantity: data.initialQuantity },
+        create: { productId: existing.id, quantity: data.initialQuantity },
+      });
+    }
+
+    if (attributeValues) {
+      await AttributeService.save(
+        tx,
+        existing.id,
+        attributeValues,
+        applicableIds
+      );
+    }
+
+    return product;
+  }
+
+  // rows are plain objects keyed by CATALOG_COLUMNS and attr.<key>; row
+  // numbers in the report are 1-based and do not count the CSV header
+  static async import(rows, { dryRun = false } = {}) {
+    const categoryIds = await this.categoryIdsByName();
+    const definitionsByCategory = new Map();
+    const seenSkus = new Set();
+    const claimedSlugs = new Set();
+    const results = [];
+    const errors = [];
+
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + 1;
+      const { sku, data, attributes, provided, error } = this.validateRow(
+        row,
+        categoryIds
+      );
+
+      if (error) {
+        errors.push({ row: rowNumber, sku: row.sku || null, message: error });
+        continue;
+      }
+      if (sku && seenSkus.has(sku)) {
+        errors.push({
+          row: rowNumber,
+          sku,
+          message: "Duplicate sku in this file",
+        });
+        continue;
+      }
+      seenSkus.add(sku);
+
+      // Same slug twice in a file is caught by planSlug
+      const existing = await prisma.product.findUnique({
+        where: sku ? { sku } : { slug: data.slug },
+      });
+      const action = existing ? "update" : "create";
+
+      const attributePlan = await this.planAttributes(
+        existing,
+        data,
+        attributes,
+        definitionsByCategory
+      );
+      if (attributePlan.error) {
+        errors.push({ row: rowNumber, sku, message: attributePlan.error });
+        continue;
+      }
+
+      const plan = await this.planSlug(data, existing, claimedSlugs);
+      if (plan.error) {
+        errors.push({ row: rowNumber, sku, message: plan.error });
+        continue;
+      }
+      claimedSlugs.add(plan.slug);
+
+      if (dryRun) {
+        results.push({ row: rowNumber, sku, action, id: existing?.id || null });
+        continue;
+      }
+
+      try {
+        const product = await prisma.$transaction((tx) =>
+          existing
+            ? this.updateProduct(
+                tx,
+                existing,
+                data,
+                provided,
+                plan.slug,
+                attributePlan
+              )
+            : this.createProduct(tx, data, plan.slug, attributePlan)
+        );
+        results.push({ row: rowNumber, sku, action, id: product.id });
+      } catch (err) {
+        // Lost a race for the sku or slug with a concurrent write
+        if (err.code === "P2002") {
+          errors.push({
+            row: rowNumber,
+            sku,
+            message: "This sku or slug is already in use",
+          });
+          continue;
+        }
+        throw err;
+      }
+    }
+
+    const count = (action) => results.filter((r) => r.action === action).length;
+
+    return {
+      dryRun,
+      summary: {
+        total: rows.length,
+        created: count("create"),
+        updated: count("update"),
+        failed: errors.length,
+      },
+      results,
+      errors,
+    };
+  }
+
+  // Whole catalog, inactive products included, as rows keyed by
+  // CATALOG_COLUMNS plus attr.<key> for each attribute value. quantity is
+  // the product-level stock; variant stock is managed per variant.
+  static async exportRows() {
+    const rows = [];
+
+    for (let skip = 0; ; skip += EXPORT_BATCH_SIZE) {
+      const batch = await prisma.product.findMany({
+        orderBy: { createdAt: "asc" },
+        skip,
+        take: EXPORT_BATCH_SIZE,
+        select: {
+          sku: true,
+          name: true,
+          slug: true,
+          description: true,
+          price: true,
+          imageUrl: true,
+          isActive: true,
+          category: { select: { name: true } },
+          inventory: { select: { quantity: true } },
+          attributes: {
+            select: {
+              textValue: true,
+              numberValue: true,
+              booleanValue: true,
+              definition: { select: { key: true, type: true } },
+            },
+          },
+        },
+      });
+
+      rows.push(
+        ...batch.map((product) => ({
+          sku: product.sku,
+          name: product.name,
+          slug: product.slug,
+          description: product.description,
+          price: Number(product.price),
+          category: product.category.name,
+          isActive: product.isActive,
+          quantity: product.inventory ? product.inventory.quantity : null,
+          imageUrl: product.imageUrl,
+          ...Object.fromEntries(
+            product.attributes.map(({ definition, ...value }) => [
+              `attr.${definition.key}`,
+              value[AttributeService.valueColumn(definition.type)],
+            ])
+          ),
+        }))
+      );
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    return rows;
+  }
+}
+
+module.exports = ProductImportService;
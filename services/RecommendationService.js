@@ -0,0 +1,199 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/database");
+const { client } = require("../config/redis");
+
+const REFRESH_MINUTES = parseInt(process.env.RELATED_REFRESH_MINUTES || "60");
+const LOOKBACK_DAYS = parseInt(process.env.RELATED_LOOKBACK_DAYS || "365");
+// Entries kept per product and per category
+const MAX_RELATED = 20;
+const MAX_BESTSELLERS = 50;
+const WRITE_BATCH_SIZE = 500;
+const REFRESHED_AT_KEY = "related:refreshedAt";
+
+// "Frequently bought together" from order history, precomputed by a
+// periodic job into Redis:
+//  - related:<productId>        zset of co-purchased product ids, scored by
+//    the number of orders containing both
+//  - bestsellers:<categoryId>   zset of product ids scored by units sold
+//  - related:refreshedAt        ISO time of the last completed refresh
+// Keys outlive two refreshes, so products that drop out simply expire.
+class RecommendationService {
+  static relatedKey(productId) {
+    return `related:${productId}`;
+  }
+
+  static bestsellersKey(categoryId) {
+    return `bestsellers:${categoryId}`;
+  }
+
+  static get ttlSeconds() {
+    return REFRESH_MINUTES * 60 * 2 + 60;
+  }
+
+  // Cancelled orders say nothing about what sells together
+  static orderFilter(since) {
+    return Prisma.sql`o."status" <> 'CANCELLED' AND o."createdAt" >= ${since}`;
+  }
+
+  static async coPurchases(since) {
+    return prisma.$queryRaw`
+      WITH pairs AS (
+        SELECT a."productId", b."productId" AS "relatedId",
+          COUNT(DISTINCT a."orderId")::int AS "orders"
+        FROM "order_items" a
+        JOIN "order_items" b
+          ON b."orderId" = a."orderId" AND b."productId" <> a."productId"
+        JOIN "orders" o ON o."id" = a."orderId"
+        WHERE ${this.orderFilter(since)}
+        GROUP BY a."productId", b."productId"
+      ), ranked AS (
+        SELECT *, ROW_NUMBER() OVER (
+          PARTITION BY "productId" ORDER BY "orders" DESC, "relatedId"
+        ) AS position
+        FROM pairs
+      )
+      SELECT "productId", "relatedId", "orders"
+      FROM ranked
+      WHERE position <= ${MAX_RELATED}
+    `;
+  }
+
+  static async bestsellers(since) {
+    return prisma.$queryRaw`
+      WITH sales AS (
+        SELECT p."categoryId", oi."productId",
+          SUM(oi."quantity")::int AS "sold"
+        FROM "order_items" oi
+        JOIN "orders" o ON o."id" = oi."orderId"
+        JOIN "products" p ON p."id" = oi."productId"
+        WHERE ${this.orderFilter(since)} AND p."isActive" = true
+        GROUP BY p."categoryId", oi."productId"
+      ), ranked AS (
+        SELECT *, ROW_NUMBER() OVER (
+          PARTITION BY "categoryId" ORDER BY "sold" DESC, "productId"
+        ) AS position
+        FROM sales
+      )
+      SELECT "categoryId", "productId", "sold"
+      FROM ranked
+      WHERE position <= ${MAX_BESTSELLERS}
+    `;
+  }
+
+  // rows grouped into one sorted set per key, written in batches
+  static async writeSortedSets(sets) {
+    const entries = [...sets];
+
+    for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+      const multi = client.multi();
+      for (const [key, members] of entries.slice(i, i + WRITE_BATCH_SIZE)) {
+        multi.del(key);
+        multi.zAdd(key, members);
+        multi.expire(key, this.ttlSeconds);
+      }
+      await multi.exec();
+    }
+  }
+
+  static groupBy(rows, keyOf, member) {
+    const sets = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!sets.has(key)) {
+        sets.set(key, []);
+      }
+      sets.get(key).push(member(row));
+    }
+    return sets;
+  }
+
+  static async refresh() {
+    const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const [pairs, sales] = await Promise.all([
+      this.coPurchases(since),
+      this.bestsellers(since),
+    ]);
+
+    await this.writeSortedSets(
+      this.groupBy(
+        pairs,
+        (row) => this.relatedKey(row.productId),
+        (row) => ({ score: row.orders, value: row.relatedId })
+      )
+    );
+    await this.writeSortedSets(
+      this.groupBy(
+        sales,
+        (row) => this.bestsellersKey(row.categoryId),
+        (row) => ({ score: row.sold, value: row.productId })
+      )
+    );
+
+    await client.set(REFRESHED_AT_KEY, new Date().toISOString());
+    console.log(
+      `🛍️ Recommendations refreshed (${pairs.length} product pairs, ${sales.length} bestsellers)`
+    );
+  }
+
+  // Runs refresh() now and every RELATED_REFRESH_MINUTES. The Redis lock
+  // lets only one API instance do the work per interval.
+  static scheduleRefresh() {
+    const run = async () => {
+      try {
+        const acquired = await client.set("related:lock", String(process.pid), {
+          NX: true,
+          EX: REFRESH_MINUTES * 60 - 5,
+        });
+        if (acquired) {
+          await this.refresh();
+        }
+      } catch (error) {
+        console.error("Recommendation refresh error:", error);
+      }
+    };
+
+    run();
+    setInterval(run, REFRESH_MINUTES * 60 * 1000).unref();
+  }
+
+  // When the precomputed sets were last rebuilt, or null before the first run
+  static async refreshedAt() {
+    return await client.get(REFRESHED_AT_KEY);
+  }
+
+  // Up to limit product ids with the reason each was picked: co-purchases
+  // first, then bestsellers of the product's category. Candidates are
+  // over-fetched so that inactive products can be dropped by the caller.
+  static async candidates(product, limit) {
+    const related = await client.zRange(
+      this.relatedKey(product.id),
+      0,
+      limit * 2 - 1,
+      { REV: true }
+    );
+
+    const picks = related.map((id) => ({ id, reason: "bought_together" }));
+    if (picks.length >= limit * 2) {
+      return picks;
+    }
+
+    const bestsellers = await client.zRange(
+      this.bestsellersKey(product.categoryId),
+      0,
+      limit * 2 - 1,
+      { REV: true }
+    );
+
+    const seen = new Set([product.id, ...related]);
+    for (const id of bestsellers) {
+      if (!seen.has(id)) {
+        picks.push({ id, reason: "category_bestseller" });
+      }
+    }
+
+    return picks;
+  }
+}
+
+module.exports = RecommendationService;
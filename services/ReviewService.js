@@ -0,0 +1,92 @@
+const prisma = require("../config/database");
+
+// Review sort options of the public listing
+const REVIEW_ORDER = {
+  newest: [{ createdAt: "desc" }],
+  oldest: [{ createdAt: "asc" }],
+  highest: [{ rating: "desc" }, { createdAt: "desc" }],
+  lowest: [{ rating: "asc" }, { createdAt: "desc" }],
+};
+
+// Public shape of a review; authors are shown as "First L."
+const reviewSelect = {
+  id: true,
+  rating: true,
+  title: true,
+  body: true,
+  status: true,
+  verifiedPurchase: true,
+  reply: true,
+  repliedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  user: { select: { firstName: true, lastName: true } },
+};
+
+class ReviewService {
+  static get select() {
+    return reviewSelect;
+  }
+
+  static orderBy(sortBy) {
+    return REVIEW_ORDER[sortBy] || REVIEW_ORDER.newest;
+  }
+
+  static format({ user, ...review }) {
+    const initial = user.lastName ? ` ${user.lastName[0]}.` : "";
+    return { ...review, author: `${user.firstName}${initial}` };
+  }
+
+  // Verified purchase: the user received the product in a delivered order
+  static async isVerifiedPurchase(userId, productId, tx = prisma) {
+    const item = await tx.orderItem.findFirst({
+      where: { productId, order: { userId, status: "DELIVERED" } },
+      select: { id: true },
+    });
+    return Boolean(item);
+  }
+
+  // Recomputes the denormalized rating of a product from its approved
+  // reviews. Call after any change that affects an approved review.
+  static async refreshProductRating(productId, tx = prisma) {
+    const { _avg, _count } = await tx.review.aggregate({
+      where: { productId, status: "APPROVED" },
+      _avg: { rating: true },
+      _count: { _all: true },
+    });
+
+    await tx.product.update({
+      where: { id: productId },
+      data: {
+        avgRating: _avg.rating,
+        reviewCount: _count._all,
+      },
+    });
+  }
+
+  // Average, count and the number of approved reviews for each star rating
+  static async summary(productId) {
+    const groups = await prisma.review.groupBy({
+      by: ["rating"],
+      where: { productId, status: "APPROVED" },
+      _count: { _all: true },
+    });
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    for (const group of groups) {
+      distribution[group.rating] = group._count._all;
+      count += group._count._all;
+      total += group.rating * group._count._all;
+    }
+
+    return {
+      averageRating: count ? Math.round((total / count) * 100) / 100 : null,
+      reviewCount: count,
+      distribution,
+    };
+  }
+}
+
+module.exports = ReviewService;
@@ -0,0 +1,89 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/database");
+
+// Upper bound on ranked matches; filters and pagination apply on top
+const MAX_MATCHES = parseInt(process.env.SEARCH_MAX_MATCHES || "1000");
+
+const HIGHLIGHT_OPTIONS = "StartSel=<mark>, StopSel=</mark>";
+
+// Product text is escaped before ts_headline adds its <mark> tags, so the
+// snippets are safe to render as HTML
+const escapeHtml = (expression) => Prisma.sql`
+  replace(replace(replace(replace(replace(${expression},
+    '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')
+`;
+
+// PostgreSQL full-text product search. Matches the trigger-maintained
+// searchVector (name, category, description) with prefix matching, and
+// falls back to trigram word similarity on the name to tolerate typos.
+class SearchService {
+  // "red sho" -> "red:* & sho:*"
+  static toPrefixQuery(text) {
+    const terms = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.map((term) => `${term}:*`).join(" & ");
+  }
+
+  // Ids of matching products, best match first.
+  // Pass isActive to restrict matches to active or inactive products.
+  static async rankedProductIds(text, { isActive } = {}) {
+    const tsquery = this.toPrefixQuery(text);
+    if (!tsquery) {
+      return [];
+    }
+
+    const rows = await prisma.$queryRaw`
+      WITH q AS (SELECT to_tsquery('english', ${tsquery}) AS query)
+      SELECT p."id",
+        ts_rank_cd(p."searchVector", q.query)
+          + word_similarity(${text}, p."name") AS rank
+      FROM "products" p, q
+      WHERE (p."searchVector" @@ q.query OR ${text} <% p."name")
+        ${
+          isActive === undefined
+            ? Prisma.empty
+            : Prisma.sql`AND p."isActive" = ${isActive}`
+        }
+      ORDER BY rank DESC, p."createdAt" DESC
+      LIMIT ${MAX_MATCHES}
+    `;
+
+    return rows.map((row) => row.id);
+  }
+
+  // Highlighted name and description snippets, keyed by product id. They
+  // are HTML: escaped product text with matches wrapped in <mark>.
+  static async highlights(text, productIds) {
+    const tsquery = this.toPrefixQuery(text);
+    if (!tsquery || productIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await prisma.$queryRaw`
+      WITH q AS (SELECT to_tsquery('english', ${tsquery}) AS query)
+      SELECT p."id",
+        ts_headline('english', ${escapeHtml(Prisma.raw('p."name"'))}, q.query,
+          ${`${HIGHLIGHT_OPTIONS}, HighlightAll=true`}) AS name,
+        ts_headline('english',
+          ${escapeHtml(Prisma.raw(`coalesce(p."description", '')`))}, q.query,
+          ${`${HIGHLIGHT_OPTIONS}, MaxFragments=2, MaxWords=20, MinWords=5`}
+        ) AS description
+      FROM "products" p, q
+      WHERE p."id" IN (${Prisma.join(productIds)})
+    `;
+
+    return new Map(
+      rows.map((row) => [
+        row.id,
+        { name: row.name, description: row.description || null },
+      ])
+    );
+  }
+
+  // Reorders rows to follow ids
+  static orderByIds(rows, ids) {
+    const position = new Map(ids.map((id, index) => [id, index]));
+    return [...rows].sort((a, b) => position.get(a.id) - position.get(b.id));
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,86 @@
+const prisma = require("../config/database");
+const { slugify, uniqueSlug } = require("../utils/slug");
+
+const ENTITIES = {
+  product: {
+    model: "product",
+    redirect: "productSlugRedirect",
+    foreignKey: "productId",
+    fallback: "product",
+  },
+  category: {
+    model: "category",
+    redirect: "categorySlugRedirect",
+    foreignKey: "categoryId",
+    fallback: "category",
+  },
+};
+
+// Slugs for products and categories. Each keeps its previous slugs as
+// redirects so that renamed items stay reachable under old URLs.
+class SlugService {
+  // Free slug derived from text; collisions get a numeric suffix
+  static async generate(entity, text, excludeId, tx = prisma) {
+    const { fallback } = ENTITIES[entity];
+    const base = slugify(text) || fallback;
+
+    return uniqueSlug(base, (candidate) =>
+      this.isTaken(entity, candidate, excludeId, tx)
+    );
+  }
+
+  static async isTaken(entity, slug, excludeId, tx = prisma) {
+    const { model } = ENTITIES[entity];
+    const owner = await tx[model].findUnique({
+      where: { slug },
+      select: { id: true },
+    });
+    return Boolean(owner) && owner.id !== excludeId;
+  }
+
+  // Keep oldSlug as a redirect to the item. A slug that becomes live again
+  // stops being a redirect, whoever it pointed to.
+  static async recordChange(entity, id, oldSlug, newSlug, tx = prisma) {
+    if (oldSlug === newSlug) {
+      return;
+    }
+
+    const { redirect, foreignKey } = ENTITIES[entity];
+    await tx[redirect].deleteMany({ where: { slug: newSlug } });
+    await tx[redirect].create({
+      data: { slug: oldSlug, [foreignKey]: id },
+    });
+  }
+
+  // Claiming a slug for a new item drops any redirect that used it
+  static async claim(entity, slug, tx = prisma) {
+    const { redirect } = ENTITIES[entity];
+    await tx[redirect].deleteMany({ where: { slug } });
+  }
+
+  // Looks up an id or a current slug. Returns { id }, { redirectTo } with
+  // the current slug for an old slug, or null.
+  static async resolve(entity, idOrSlug) {
+    const { model, redirect } = ENTITIES[entity];
+
+    const item = await prisma[model].findFirst({
+      where: { OR: [{ id: idOrSlug }, { slug: idOrSlug }] },
+      select: { id: true },
+    });
+    if (item) {
+      return { id: item.id };
+    }
+
+    const moved = await prisma[redirect].findUnique({
+      where: { slug: idOrSlug },
+      select: { [entity]: { select: { slug: true } } },
+    });
+    if (moved) {
+      return { redirectTo: moved[entity].slug };
+    }
+
+    return null;
+  }
+}
+
+module.exports = SlugService;
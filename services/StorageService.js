@@ -0,0 +1,45 @@
+const createLocalStorage = require("./storage/localStorage");
+
+// A storage driver is any object with async put(key, buffer, contentType),
+// async delete(key) and url(key). Other backends (S3, GCS, ...) can be
+// plugged in with setDriver().
+const drivers = {
+  local: () => createLocalStorage(),
+};
+
+let driver = null;
+
+class StorageService {
+  static setDriver(newDriver) {
+    driver = newDriver;
+  }
+
+  static getDriver() {
+    if (!driver) {
+      const name = process.env.STORAGE_DRIVER || "local";
+      if (!drivers[name]) {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+      driver = drivers[name]();
+    }
+    return driver;
+  }
+
+  static async put(key, buffer, contentType) {
+    await this.getDriver().put(key, buffer, contentType);
+    return this.getDriver().url(key);
+  }
+
+  // Best effort: a file that cannot be removed must not fail the request
+  static async deleteMany(keys) {
+    for (const key of keys) {
+      try {
+        await this.getDriver().delete(key);
+      } catch (error) {
+        console.error(`Storage delete error for ${key}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,218 @@
+const prisma = require("../config/database");
+const { client } = require("../config/redis");
+const CategoryService = require("./CategoryService");
+const { flattenCategoryTree } = require("../utils/categoryTree");
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+const MAX_QUERY_LENGTH = 50;
+// Anything slower than this returns an empty section instead
+const SUGGEST_BUDGET_MS = parseInt(process.env.SUGGEST_BUDGET_MS || "100");
+// Past searches are only suggested once this many searches ran them, so a
+// single visitor's text is never shown to others
+const MIN_QUERY_COUNT = parseInt(process.env.SUGGEST_MIN_QUERY_COUNT || "3");
+// Most popular searches kept per prefix, and for how long an unused prefix
+// keeps them
+const MAX_QUERIES_PER_PREFIX = 100;
+const QUERY_TTL = 30 * 24 * 60 * 60;
+
+// Typeahead backed by a Redis prefix index:
+//  - suggest:prefix:<prefix>  zset of product ids whose name has a word
+//    starting with prefix (score = name length, shorter names first)
+//  - suggest:products         hash of product id -> { id, name, slug }
+//  - suggest:product:<id>     set of the prefixes a product is indexed under
+//  - suggest:queries:<prefix> zset of past searches scored by popularity,
+//    trimmed to MAX_QUERIES_PER_PREFIX and expiring after QUERY_TTL
+class SuggestService {
+  static normalize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  static prefixesOf(word) {
+    const prefixes = [];
+    for (let i = MIN_PREFIX; i <= Math.min(word.length, MAX_PREFIX); i++) {
+      prefixes.push(word.slice(0, i));
+    }
+    return prefixes;
+  }
+
+  static prefixKey(prefix) {
+    return `suggest:prefix:${prefix}`;
+  }
+
+  static productKey(productId) {
+    return `suggest:product:${productId}`;
+  }
+
+  static queryKey(prefix) {
+    return `suggest:queries:${prefix}`;
+  }
+
+  // Add or refresh a product; inactive products are removed
+  static async indexProduct(product) {
+    await this.removeProduct(product.id);
+
+    if (!product.isActive) {
+      return;
+    }
+
+    const words = this.normalize(product.name).split(" ");
+    const prefixes = [...new Set(words.flatMap((w) => this.prefixesOf(w)))];
+    if (prefixes.length === 0) {
+      return;
+    }
+
+    const multi = client.multi();
+    for (const prefix of prefixes) {
+      multi.zAdd(this.prefixKey(prefix), {
+        score: product.name.length,
+        value: product.id,
+      });
+    }
+    multi.sAdd(this.productKey(product.id), prefixes);
+    multi.hSet(
+      "suggest:products",
+      product.id,
+      JSON.stringify({ id: product.id, name: product.name, slug: product.slug })
+    );
+    await multi.exec();
+  }
+
+  static async removeProduct(productId) {
+    const prefixes = await client.sMembers(this.productKey(productId));
+
+    const multi = client.multi();
+    for (const prefix of prefixes) {
+      multi.zRem(this.prefixKey(prefix), productId);
+    }
+    multi.del(this.productKey(productId));
+    multi.hDel("suggest:products", productId);
+    await multi.exec();
+  }
+
+  // Index maintenance must never fail the catalog write that triggered it
+  static async safely(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.error("Suggest index error:", error);
+    }
+  }
+
+  // Build the index from the database when it does not exist yet
+  static async ensureIndex() {
+    if (await client.exists("suggest:built")) {
+      return;
+    }
+
+    const products = await prisma.product.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, slug: true, isActive: true },
+    });
+
+    for (const product of products) {
+      await this.indexProduct(product);
+    }
+
+    await client.set("suggest:built", new Date().toISOString());
+    console.log(`🔎 Suggest index built for ${products.length} products`);
+  }
+
+  // Count a search that returned results so it can be suggested later
+  static async recordQuery(query) {
+    const normalized = this.normalize(query).slice(0, MAX_QUERY_LENGTH);
+    if (normalized.length < MIN_PREFIX) {
+      return;
+    }
+
+    const multi = client.multi();
+    for (const prefix of this.prefixesOf(normalized)) {
+      const key = this.queryKey(prefix);
+      multi.zIncrBy(key, 1, normalized);
+      multi.zRemRangeByRank(key, 0, -(MAX_QUERIES_PER_PREFIX + 1));
+      multi.expire(key, QUERY_TTL);
+    }
+    await multi.exec();
+  }
+
+  static async suggestProducts(words, limit) {
+    const keys = words.map((word) => this.prefixKey(word.slice(0, MAX_PREFIX)));
+
+    // Every word of the query must prefix-match a word of the name
+    const ids =
+      keys.length === 1
+        ? await client.zRange(keys[0], 0, limit - 1)
+        : (await client.zInter(keys)).slice(0, limit);
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const products = await client.hmGet("suggest:products", ids);
+    return products.filter(Boolean).map((product) => JSON.parse(product));
+  }
+
+  static async suggestCategories(normalized, limit) {
+    const categories = flattenCategoryTree(await CategoryService.getTree());
+
+    return categories
+      .filter((category) =>
+        this.normalize(category.name)
+          .split(" ")
+          .some((word) => word.startsWith(normalized))
+      )
+      .slice(0, limit)
+      .map(({ id, name, slug }) => ({ id, name, slug }));
+  }
+
+  static async suggestQueries(normalized, limit) {
+    return await client.zRange(
+      this.queryKey(normalized.slice(0, MAX_PREFIX)),
+      "+inf",
+      MIN_QUERY_COUNT,
+      { BY: "SCORE", REV: true, LIMIT: { offset: 0, count: limit } }
+    );
+  }
+
+  static async withinBudget(promise, fallback) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(fallback), SUGGEST_BUDGET_MS);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } catch (error) {
+      console.error("Suggest error:", error);
+      return fallback;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static async suggest(query, limit = 5) {
+    const normalized = this.normalize(query).slice(0, MAX_QUERY_LENGTH);
+    const words = normalized
+      .split(" ")
+      .filter((word) => word.length >= MIN_PREFIX)
+      .slice(0, 5);
+
+    if (words.length === 0) {
+      return { products: [], categories: [], queries: [] };
+    }
+
+    const [products, categories, queries] = await Promise.all([
+      this.withinBudget(this.suggestProducts(words, limit), []),
+      this.withinBudget(this.suggestCategories(words[0], limit), []),
+      this.withinBudget(this.suggestQueries(normalized, limit), []),
+    ]);
+
+    return { products, categories, queries };
+  }
+}
+
+module.exports = SuggestService;
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { client } = require("../config/redis");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30") * 24 * 60 * 60;
+
+// Every login starts a token "family" (session). Each refresh rotates the
+// refresh token inside the family; presenting an already-rotated token is
+// treated as theft and revokes the whole family.
+class TokenService {
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  static familyKey(familyId) {
+    return `auth:family:${familyId}`;
+  }
+
+  static userFamiliesKey(userId) {
+    return `auth:user:${userId}:families`;
+  }
+
+  static refreshKey(tokenHash) {
+    return `auth:refresh:${tokenHash}`;
+  }
+
+  static signAccessToken(userId, familyId) {
+    return jwt.sign({ userId, sid: familyId }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    });
+  }
+
+  static async storeRefreshToken(userId, familyId) {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    const key = this.refreshKey(this.hashToken(refreshToken));
+
+    await client.setEx(
+      key,
+      REFRESH_TOKEN_TTL,
+      JSON.stringify({ userId, familyId })
+    );
+    // Sliding expiry: an active session lives as long as it keeps refreshing
+    await client.setEx(this.familyKey(familyId), REFRESH_TOKEN_TTL, userId);
+
+    return refreshToken;
+  }
+
+  // Start a new session (login / register)
+  static async createSession(userId) {
+    const familyId = crypto.randomUUID();
+
+    await client.sAdd(this.userFamiliesKey(userId), familyId);
+    await client.expire(this.userFamiliesKey(userId), REFRESH_TOKEN_TTL);
+
+    const refreshToken = await this.storeRefreshToken(userId, familyId);
+
+    return {
+      token: this.signAccessToken(userId, familyId),
+      refreshToken,
+    };
+  }
+
+  // Exchange a refresh token for a new token pair.
+  // Returns null when the token is unknown, revoked or has been reused.
+  static async rotate(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const data = await client.get(this.refreshKey(tokenHash));
+    if (!data) {
+      return null;
+    }
+
+    const { userId, familyId } = JSON.parse(data);
+
+    const familyActive = await client.exists(this.familyKey(familyId));
+    if (!familyActive) {
+      return null;
+    }
+
+    // Only the first caller may use a refresh token
+    const firstUse = await client.set(
+      `${this.refreshKey(tokenHash)}:used`,
+      "1",
+      { expiration: { type: "EX", value: REFRESH_TOKEN_TTL }, condition: "NX" }
+    );
+
+    if (!firstUse) {
+      console.warn(
+        `Refresh token reuse detected for user ${userId}, revoking session ${familyId}`
+      );
+      await this.revokeSession(familyId, userId);
+      return null;
+    }
+
+    const newRefreshToken = await this.storeRefreshToken(userId, familyId);
+
+    return {
+      userId,
+      token: this.signAccessToken(userId, familyId),
+      refreshToken: newRefreshToken,
+    };
+  }
+
+  static async isSessionActive(familyId) {
+    if (!familyId) {
+      return false;
+    }
+    return (await client.exists(this.familyKey(familyId))) === 1;
+  }
+
+  // Look up the session a refresh token belongs to, without rotating it
+  static async getSession(refreshToken) {
+    const data = await client.get(
+      this.refreshKey(this.hashToken(refreshToken))
+    );
+    return data ? JSON.parse(data) : null;
+  }
+
+  static async revokeSession(familyId, userId) {
+    await client.del(this.familyKey(familyId));
+    if (userId) {
+      await client.sRem(this.userFamiliesKey(userId), familyId);
+    }
+  }
+
+  // Pass exceptFamilyId to keep the caller's own session alive
+  static async revokeAllSessions(userId, exceptFamilyId) {
+    const familyIds = (
+      await client.sMembers(this.userFamiliesKey(userId))
+    ).filter((id) => id !== exceptFamilyId);
+
+    if (familyIds.length > 0) {
+      await client.del(familyIds.map((id) => this.familyKey(id)));
+      await client.sRem(this.userFamiliesKey(userId), familyIds);
+    }
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const { authenticator } = require("otplib");
+const { client } = require("../config/redis");
+const TokenService = require("./TokenService");
+
+// Accept the previous and next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "E-commerce API";
+const SETUP_TTL = 10 * 60;
+const CHALLENGE_TTL = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  // Enrollment: the secret stays pending in Redis until confirmed with a code
+  static async startSetup(user) {
+    const secret = authenticator.generateSecret();
+    await client.setEx(`2fa:setup:${user.id}`, SETUP_TTL, secret);
+
+    return {
+      secret,
+      otpauthUrl: authenticator.keyuri(user.email, ISSUER, secret),
+    };
+  }
+
+  static async getPendingSecret(userId) {
+    return client.get(`2fa:setup:${userId}`);
+  }
+
+  static async clearPendingSecret(userId) {
+    await client.del(`2fa:setup:${userId}`);
+  }
+
+  // Checks a TOTP code and refuses to accept the same code twice
+  static async verifyCode(userId, secret, code) {
+    if (!authenticator.check(code, secret)) {
+      return false;
+    }
+
+    const firstUse = await client.set(`2fa:used:${userId}:${code}`, "1", {
+      expiration: { type: "EX", value: 90 },
+      condition: "NX",
+    });
+    return Boolean(firstUse);
+  }
+
+  // Returns the plain codes (shown once) and their hashes (stored)
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map((code) => TokenService.hashToken(code)),
+    };
+  }
+
+  // Returns the remaining hashes when the code matched, otherwise null
+  static useRecoveryCode(hashes, code) {
+    const hash = TokenService.hashToken(code.trim().toLowerCase());
+    if (!hashes.includes(hash)) {
+      return null;
+    }
+    return hashes.filter((h) => h !== hash);
+  }
+
+  // Second login step: password was correct, a code is still required
+  static async createChallenge(userId) {
+    const challengeToken = crypto.randomBytes(32).toString("hex");
+    await client.setEx(
+      `2fa:challenge:${TokenService.hashToken(challengeToken)}`,
+      CHALLENGE_TTL,
+      JSON.stringify({ userId, attempts: 0 })
+    );
+    return challengeToken;
+  }
+
+  static async getChallenge(challengeToken) {
+    const data = await client.get(
+      `2fa:challenge:${TokenService.hashToken(challengeToken)}`
+    );
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Returns false once the challenge has used up its attempts
+  static async recordChallengeFailure(challengeToken, challenge) {
+    const key = `2fa:challenge:${TokenService.hashToken(challengeToken)}`;
+    const attempts = challenge.attempts + 1;
+
+    if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      await client.del(key);
+      return false;
+    }
+
+    await client.set(key, JSON.stringify({ ...challenge, attempts }), {
+      expiration: "KEEPTTL",
+    });
+    return true;
+  }
+
+  // Returns false when the challenge was already completed concurrently
+  static async completeChallenge(challengeToken) {
+    const deleted = await client.del(
+      `2fa:challenge:${TokenService.hashToken(challengeToken)}`
+    );
+    return deleted === 1;
+  }
+}
+
+module.exports = TwoFactorService;
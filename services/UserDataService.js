@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/database");
+const TokenService = require("./TokenService");
+const ReviewService = require("./ReviewService");
+const CacheService = require("./CacheService");
+
+// GDPR helpers: export everything stored about a user, and erase their
+// personal data while keeping orders (totals and items) for accounting.
+class UserDataService {
+  static async exportUserData(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        emailVerified: true,
+        emailVerifiedAt: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+        updatedAt: true,
+        addresses: {
+          orderBy: { createdAt: "asc" },
+        },
+        cart: {
+          select: {
+            createdAt: true,
+            updatedAt: true,
+            items: {
+              select: {
+                quantity: true,
+                createdAt: true,
+                product: { select: { id: true, name: true, price: true } },
+                variant: { select: { id: true, sku: true, price: true } },
+              },
+            },
+          },
+        },
+        wishlists: {
+          orderBy: { createdAt: "asc" },
+          select: {
+            name: true,
+            isDefault: true,
+            createdAt: true,
+            items: {
+              select: {
+                createdAt: true,
+                product: { select: { id: true, name: true } },
+                variant: { select: { id: true, sku: true } },
+              },
+            },
+          },
+        },
+        reviews: {
+          orderBy: { createdAt: "desc" },
+          select: {
+            rating: true,
+            title: true,
+            body: true,
+            status: true,
+            createdAt: true,
+            updatedAt: true,
+            product: { select: { id: true, name: true } },
+          },
+        },
+        orders: {
+          orderBy: { createdAt: "desc" },
+          select: {
+            id: true,
+            status: true,
+            totalAmount: true,
+            shippingAddress: true,
+            shippingAddressData: true,
+            notes: true,
+            createdAt: true,
+            updatedAt: true,
+            items: {
+              select: {
+                quantity: true,
+                price: true,
+                sku: true,
+                variantName: true,
+                product: { select: { id: true, name: true } },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    const { addresses, cart, wishlists, orders, reviews, ...profile } = user;
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      addresses,
+      cart,
+      wishlists,
+      orders,
+      reviews,
+    };
+  }
+
+  static async anonymizeUser(userId) {
+    // Unusable password: a hash of random bytes nobody knows
+    const password = await bcrypt.hash(
+      crypto.randomBytes(32).toString("hex"),
+      12
+    );
+    const anonymizedEmail = `deleted-${userId}@anonymized.invalid`;
+
+    // Products whose rating changes once the user's reviews are gone
+    const reviewedProducts = await prisma.review.findMany({
+      where: { userId, status: "APPROVED" },
+      select: { productId: true },
+    });
+
+    await prisma.$transaction(async (tx) => {
+      const { email } = await tx.user.findUniqueOrThrow({
+        where: { id: userId },
+        select: { email: true },
+      });
+
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          email: anonymizedEmail,
+          firstName: "Deleted",
+          lastName: "User",
+          password,
+          emailVerified: false,
+          emailVerifiedAt: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorRecoveryCodes: [],
+          anonymizedAt: new Date(),
+        },
+      });
+
+      // Orders stay for accounting, minus the personal details
+      await tx.order.updateMany({
+        where: { userId },
+        data: {
+          shippingAddress: null,
+          shippingAddressData: Prisma.DbNull,
+          notes: null,
+        },
+      });
+
+      await tx.address.deleteMany({ where: { userId } });
+      await tx.cart.deleteMany({ where: { userId } });
+      await tx.wishlist.deleteMany({ where: { userId } });
+      await tx.userToken.deleteMany({ where: { userId } });
+
+      // Review texts are the user's own words and often personal
+      await tx.review.deleteMany({ where: { userId } });
+      for (const { productId } of reviewedProducts) {
+        await ReviewService.refreshProductRating(productId, tx);
+      }
+
+      // Invitations are matched by address too: those sent before the
+      // account existed are not linked to it
+      await tx.adminInvitation.updateMany({
+        where: {
+          OR: [{ userId }, { email: { equals: email, mode: "insensitive" } }],
+        },
+        data: { email: anonymizedEmail },
+      });
+
+      // Audit entries stay, but not the address they were recorded with
+      await tx.$executeRaw`
+        UPDATE "audit_logs"
+        SET "metadata" = jsonb_set("metadata", '{email}', to_jsonb(${anonymizedEmail}::text))
+        WHERE lower("metadata"->>'email') = lower(${email})
+      `;
+    });
+
+    await TokenService.revokeAllSessions(userId);
+
+    if (reviewedProducts.length > 0) {
+      for (const { productId } of reviewedProducts) {
+        await CacheService.invalidateProduct(productId);
+      }
+      await CacheService.invalidateAllProductCaches();
+    }
+  }
+}
+
+module.exports = UserDataService;
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const prisma = require("../config/database");
+const TokenService = require("./TokenService");
+const MailService = require("./MailService");
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(
+  process.env.EMAIL_VERIFICATION_TTL_HOURS || "24"
+);
+
+// One-time tokens sent to users by email (password reset, ...).
+// Only the SHA-256 hash is stored, the raw token lives in the email.
+class UserTokenService {
+  static async issue(userId, type, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await prisma.$transaction([
+      // A new token supersedes any outstanding one of the same type
+      prisma.userToken.deleteMany({
+        where: { userId, type, usedAt: null },
+      }),
+      prisma.userToken.create({
+        data: {
+          userId,
+          type,
+          tokenHash: TokenService.hashToken(token),
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        },
+      }),
+    ]);
+
+    return token;
+  }
+
+  // Mark a token as used. Returns the token record, or null when the token
+  // is unknown, of another type, expired or already used.
+  static async consume(token, type, tx = prisma) {
+    const record = await tx.userToken.findUnique({
+      where: { tokenHash: TokenService.hashToken(token) },
+    });
+
+    if (
+      !record ||
+      record.type !== type ||
+      record.usedAt ||
+      record.expiresAt < new Date()
+    ) {
+      return null;
+    }
+
+    // Guard against two concurrent requests consuming the same token
+    const { count } = await tx.userToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    return count === 1 ? record : null;
+  }
+
+  static async sendEmailVerification(user) {
+    const token = await this.issue(
+      user.id,
+      "EMAIL_VERIFICATION",
+      EMAIL_VERIFICATION_TTL_HOURS * 60
+    );
+    await MailService.sendEmailVerification(
+      user,
+      token,
+      EMAIL_VERIFICATION_TTL_HOURS
+    );
+  }
+}
+
+module.exports = UserTokenService;
@@ -0,0 +1,16 @@
+// Prints outgoing mail to stdout. Default transport for development.
+const consoleTransport = {
+  async send(message) {
+    console.log(
+      [
+        "📧 Outgoing email",
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        "",
+        message.text,
+      ].join("\n")
+    );
+  },
+};
+
+module.exports = consoleTransport;
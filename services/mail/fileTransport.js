@@ -0,0 +1,22 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Writes each outgoing mail as a JSON file into MAIL_OUTBOX_DIR
+const createFileTransport = (
+  dir = process.env.MAIL_OUTBOX_DIR || "outbox"
+) => ({
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(
+      /[^\w.@-]/g,
+      "_"
+    )}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,39 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Stores files under UPLOAD_DIR; the app serves them at UPLOAD_BASE_URL
+const createLocalStorage = (
+  dir = process.env.UPLOAD_DIR || "uploads",
+  baseUrl = process.env.UPLOAD_BASE_URL || "/uploads"
+) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the app, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+  };
+};
+
+module.exports = createLocalStorage;
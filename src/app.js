@@ -4,8 +4,15 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 const setupSwagger = require("../config/swagger");
+const StorageService = require("../services/StorageService");
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For,
+// otherwise per-IP limits would apply to the proxy itself
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -21,6 +28,15 @@ app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 setupSwagger(app);
 
+// Uploaded images, when stored on the local disk
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+  app.use(
+    process.env.UPLOAD_BASE_URL || "/uploads",
+    helmet.crossOriginResourcePolicy({ policy: "cross-origin" }),
+    express.static(StorageService.getDriver().root, { maxAge: "7d" })
+  );
+}
+
 // Test route
 app.get("/", (req, res) => {
   res.json({
@@ -40,11 +56,15 @@ app.get("/health", (req, res) => {
 
 // Routes
 app.use("/api/auth", require("../routes/auth"));
+app.use("/api/invitations", require("../routes/invitation"));
+app.use("/api/api-keys", require("../routes/apiKey"));
 app.use("/api/user", require("../routes/user"));
 app.use("/api/category", require("../routes/category"));
 app.use("/api/products", require("../routes/product"));
 app.use("/api/cart", require("../routes/cart"));
+app.use("/api/wishlist", require("../routes/wishlist"));
 app.use("/api/orders", require("../routes/order"));
+app.use("/api/reviews", require("../routes/review"));
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -2,6 +2,8 @@ require("dotenv").config();
 const app = require("./app");
 const { connectRedis } = require("../config/redis");
 const prisma = require("../config/database");
+const SuggestService = require("../services/SuggestService");
+const RecommendationService = require("../services/RecommendationService");
 
 const PORT = process.env.PORT || 3000;
 
@@ -15,6 +17,12 @@ async function startServer() {
     await prisma.$connect();
     console.log("✅ Database connected successfully");
 
+    // Typeahead prefix index, built once from the catalog
+    await SuggestService.safely(() => SuggestService.ensureIndex());
+
+    // "Frequently bought together" data, recomputed in the background
+    RecommendationService.scheduleRefresh();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
@@ -0,0 +1,107 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers/database");
+const AttributeService = require("../services/AttributeService");
+
+const definition = (key, type, extra = {}) => ({
+  id: `def-${key}`,
+  key,
+  name: key[0].toUpperCase() + key.slice(1),
+  type,
+  options: [],
+  required: false,
+  ...extra,
+});
+
+const definitions = [
+  definition("brand", "TEXT", { required: true }),
+  definition("weight", "NUMBER"),
+  definition("wireless", "BOOLEAN"),
+  definition("color", "ENUM", { options: ["Red", "Blue"] }),
+];
+
+test("validate converts values to their column types", () => {
+  const result = AttributeService.validate(definitions, {
+    brand: "  Acme ",
+    weight: "1.5",
+    wireless: "true",
+    color: "blue",
+  });
+
+  assert.deepEqual(result.removeIds, []);
+  assert.deepEqual(
+    result.values.map(({ key, column, value }) => [key, column, value]),
+    [
+      ["brand", "textValue", "Acme"],
+      ["weight", "numberValue", 1.5],
+      ["wireless", "booleanValue", true],
+      ["color", "textValue", "Blue"],
+    ]
+  );
+});
+
+test("validate rejects values that do not fit the type", () => {
+  const check = (attributes) =>
+    AttributeService.validate(definitions, { brand: "Acme", ...attributes })
+      .error;
+
+  assert.equal(check({ weight: "heavy" }), "Weight must be a number");
+  assert.equal(check({ wireless: "yes" }), "Wireless must be true or false");
+  assert.equal(check({ color: "Green" }), "Color must be one of: Red, Blue");
+  assert.equal(
+    check({ brand: "x".repeat(201) }),
+    "Brand must be 1-200 characters"
+  );
+});
+
+test("validate rejects keys the category does not define", () => {
+  assert.deepEqual(
+    AttributeService.validate(definitions, { brand: "Acme", size: "L" }),
+    { error: 'Unknown attribute "size" for this category' }
+  );
+});
+
+test("validate turns null into a removal", () => {
+  const result = AttributeService.validate(definitions, {
+    brand: "Acme",
+    weight: null,
+  });
+
+  assert.deepEqual(result.removeIds, ["def-weight"]);
+});
+
+test("validate requires required attributes unless already set", () => {
+  assert.deepEqual(AttributeService.validate(definitions, {}), {
+    error: "Brand is required",
+  });
+  assert.equal(
+    AttributeService.validate(definitions, { weight: 2 }, ["brand"]).error,
+    undefined
+  );
+  assert.deepEqual(
+    AttributeService.validate(definitions, { brand: null }, ["brand"]),
+    { error: "Brand is required" }
+  );
+});
+
+test("format returns values in definition order", () => {
+  const formatted = AttributeService.format([
+    {
+      numberValue: 2,
+      definition: {
+        ...definition("weight", "NUMBER"),
+        unit: "kg",
+        position: 1,
+      },
+    },
+    {
+      textValue: "Acme",
+      definition: { ...definition("brand", "TEXT"), unit: null, position: 0 },
+    },
+  ]);
+
+  assert.deepEqual(formatted, [
+    { key: "brand", name: "Brand", type: "TEXT", unit: null, value: "Acme" },
+    { key: "weight", name: "Weight", type: "NUMBER", unit: "kg", value: 2 },
+  ]);
+});
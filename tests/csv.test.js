@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeCsvValue, toCsv, parseCsv } = require("../utils/csv");
+
+test("escapeCsvValue quotes separators, quotes and line breaks", () => {
+  assert.equal(
+    escapeCsvValue('Say "hi", then\nleave'),
+    '"Say ""hi"", then\nleave"'
+  );
+  assert.equal(escapeCsvValue(null), "");
+  assert.equal(escapeCsvValue(new Date(0)), "1970-01-01T00:00:00.000Z");
+});
+
+test("escapeCsvValue defuses spreadsheet formulas", () => {
+  assert.equal(escapeCsvValue('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(escapeCsvValue("+1"), "'+1");
+  assert.equal(escapeCsvValue("-1"), "'-1");
+  assert.equal(escapeCsvValue("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(escapeCsvValue("\tx"), "'\tx");
+  assert.equal(escapeCsvValue(-1), "-1");
+  assert.equal(escapeCsvValue("Ada"), "Ada");
+});
+
+test("parseCsv reads back what toCsv wrote", () => {
+  const rows = [
+    { name: "=1+1", note: "'=kept" },
+    { name: 'a, "b"\nc', note: "'plain" },
+  ];
+  const columns = ["name", "note"].map((header) => ({
+    header,
+    value: (row) => row[header],
+  }));
+
+  assert.deepEqual(parseCsv(toCsv(rows, columns)), rows);
+});
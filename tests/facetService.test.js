@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const prisma = require("./helpers/database");
+const FacetService = require("../services/FacetService");
+
+const brand = { key: "brand", name: "Brand", type: "TEXT", unit: null };
+const weight = { key: "weight", name: "Weight", type: "NUMBER", unit: "kg" };
+
+test("specFacet counts a filtered key without its own filter", async () => {
+  const calls = [];
+  prisma.productAttributeValue = {
+    findMany: async ({ where }) => {
+      calls.push(where);
+      return where.definition.key === "brand"
+        ? [
+            { textValue: "Acme", definition: brand },
+            { textValue: "Globex", definition: brand },
+            { textValue: "Acme", definition: brand },
+          ]
+        : [
+            { numberValue: 1.5, definition: weight },
+            { numberValue: 0.5, definition: weight },
+          ];
+    },
+  };
+
+  const specs = await FacetService.specFacet(
+    (except) => ({ except: except || null }),
+    ["brand"]
+  );
+
+  assert.deepEqual(calls, [
+    {
+      product: { except: null },
+      definition: { filterable: true, key: { notIn: ["brand"] } },
+    },
+    {
+      product: { except: "attr.brand" },
+      definition: { filterable: true, key: "brand" },
+    },
+  ]);
+  assert.deepEqual(specs, [
+    {
+      key: "weight",
+      name: "Weight",
+      type: "NUMBER",
+      unit: "kg",
+      min: 0.5,
+      max: 1.5,
+    },
+    {
+      key: "brand",
+      name: "Brand",
+      type: "TEXT",
+      unit: null,
+      values: [
+        { value: "Acme", count: 2 },
+        { value: "Globex", count: 1 },
+      ],
+    },
+  ]);
+});
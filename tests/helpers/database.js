@@ -0,0 +1,15 @@
+// Unit tests never talk to PostgreSQL: requiring this module before the
+// code under test replaces config/database with a plain object. Tests
+// assign the model methods they need, e.g.
+//   prisma.product = { findUnique: async () => null };
+const prisma = {};
+
+const databasePath = require.resolve("../../config/database");
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: prisma,
+};
+
+module.exports = prisma;
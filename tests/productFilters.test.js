@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseAttributeFilters,
+  buildProductWhere,
+} = require("../utils/productFilters");
+const { productQuerySchema } = require("../validations/productValidation");
+
+test("parseAttributeFilters reads equality and range filters", () => {
+  const filters = parseAttributeFilters({
+    page: "2",
+    "attr.weight_lt": "2",
+    "attr.brand": "globex, acme,",
+    search: "lamp",
+  });
+
+  assert.deepEqual(filters, [
+    { key: "brand", op: "eq", values: ["acme", "globex"] },
+    { key: "weight", op: "lt", values: ["2"] },
+  ]);
+});
+
+test("parseAttributeFilters is independent of parameter order", () => {
+  const a = parseAttributeFilters({ "attr.b": "2,1", "attr.a_gte": "3" });
+  const b = parseAttributeFilters({ "attr.a_gte": "3", "attr.b": "1,2" });
+
+  assert.deepEqual(a, b);
+});
+
+test("parseAttributeFilters ignores keys that are not attribute filters", () => {
+  assert.deepEqual(
+    parseAttributeFilters({ attr: "x", "attr.": "x", "attr.Brand": "x" }),
+    []
+  );
+});
+
+test("buildProductWhere matches attribute values by type", () => {
+  const where = buildProductWhere({
+    isActive: true,
+    attributes: [
+      { key: "wireless", op: "eq", values: ["true"] },
+      { key: "weight", op: "lte", values: ["1.5"] },
+    ],
+  });
+
+  assert.deepEqual(where.AND, [
+    {
+      attributes: {
+        some: {
+          definition: { key: "wireless" },
+          OR: [
+            { textValue: { equals: "true", mode: "insensitive" } },
+            { booleanValue: true },
+          ],
+        },
+      },
+    },
+    {
+      attributes: {
+        some: { definition: { key: "weight" }, numberValue: { lte: 1.5 } },
+      },
+    },
+  ]);
+});
+
+test("buildProductWhere can leave out one attribute filter", () => {
+  const filters = {
+    isActive: true,
+    attributes: [
+      { key: "brand", op: "eq", values: ["acme"] },
+      { key: "weight", op: "lt", values: ["2"] },
+    ],
+  };
+
+  const keys = (where) =>
+    where.AND.map((clause) => clause.attributes.some.definition.key);
+
+  assert.deepEqual(keys(buildProductWhere(filters)), ["brand", "weight"]);
+  assert.deepEqual(keys(buildProductWhere(filters, "attr.brand")), ["weight"]);
+});
+
+test("productQuerySchema replaces attr.* params with the parsed filters", () => {
+  const { error, value } = productQuerySchema.validate({
+    "attr.brand": "acme",
+    "attr.weight_lt": "2",
+  });
+
+  assert.equal(error, undefined);
+  assert.equal(value["attr.brand"], undefined);
+  assert.deepEqual(value.attributes, [
+    { key: "brand", op: "eq", values: ["acme"] },
+    { key: "weight", op: "lt", values: ["2"] },
+  ]);
+});
+
+test("productQuerySchema limits attribute filters", () => {
+  const tooMany = Object.fromEntries(
+    Array.from({ length: 11 }, (_, i) => [`attr.key${i}`, "x"])
+  );
+
+  assert.match(
+    productQuerySchema.validate(tooMany).error.message,
+    /At most 10 attribute filters/
+  );
+  assert.ok(productQuerySchema.validate({ "attr.brand": " , " }).error);
+  assert.ok(productQuerySchema.validate({ "attr.weight_lt": "1,2" }).error);
+  assert.ok(productQuerySchema.validate({ "attr.weight_lt": "heavy" }).error);
+});
@@ -0,0 +1,178 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const prisma = require("./helpers/database");
+const ProductImportService = require("../services/ProductImportService");
+
+const categoryIds = new Map([["electronics", "cat-1"]]);
+
+const row = (overrides = {}) => ({
+  sku: "SKU-1",
+  name: "Desk Lamp",
+  price: "19.99",
+  category: "Electronics",
+  ...overrides,
+});
+
+// slug -> id of the product that owns it
+let slugOwners;
+beforeEach(() => {
+  slugOwners = new Map();
+  prisma.product = {
+    findUnique: async ({ where }) =>
+      slugOwners.has(where.slug) ? { id: slugOwners.get(where.slug) } : null,
+  };
+});
+
+test("validateRow accepts a complete row", () => {
+  const result = ProductImportService.validateRow(
+    row({ quantity: "5", isActive: "false" }),
+    categoryIds
+  );
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.sku, "SKU-1");
+  assert.equal(result.data.categoryId, "cat-1");
+  assert.equal(result.data.price, 19.99);
+  assert.equal(result.data.initialQuantity, 5);
+  assert.equal(result.data.isActive, false);
+  assert.deepEqual([...result.provided].sort(), [
+    "category",
+    "isActive",
+    "name",
+    "price",
+    "quantity",
+    "sku",
+  ]);
+});
+
+test("validateRow treats blank cells as not provided", () => {
+  const result = ProductImportService.validateRow(
+    row({ description: "  ", imageUrl: null }),
+    categoryIds
+  );
+
+  assert.equal(result.provided.has("description"), false);
+  assert.equal(result.provided.has("imageUrl"), false);
+});
+
+test("validateRow needs a sku or a slug", () => {
+  assert.deepEqual(
+    ProductImportService.validateRow(row({ sku: "" }), categoryIds),
+    { error: "sku or slug is required" }
+  );
+
+  const bySlug = ProductImportService.validateRow(
+    row({ sku: "", slug: "desk-lamp" }),
+    categoryIds
+  );
+  assert.equal(bySlug.error, undefined);
+  assert.equal(bySlug.sku, null);
+});
+
+test("validateRow matches categories by name, ignoring case", () => {
+  assert.equal(
+    ProductImportService.validateRow(
+      row({ category: " ELECTRONICS " }),
+      categoryIds
+    ).data.categoryId,
+    "cat-1"
+  );
+  assert.deepEqual(
+    ProductImportService.validateRow(row({ category: "Garden" }), categoryIds),
+    { error: 'Category "Garden" not found' }
+  );
+});
+
+test("validateRow reports schema errors", () => {
+  const result = ProductImportService.validateRow(
+    row({ price: "-3" }),
+    categoryIds
+  );
+
+  assert.equal(result.error, "Price must be a positive number");
+});
+
+test("validateRow collects attr.<key> columns", () => {
+  const result = ProductImportService.validateRow(
+    row({ "attr.brand": "Acme", "attr.weight": "", notes: "x" }),
+    categoryIds
+  );
+
+  assert.deepEqual(result.attributes, { brand: "Acme" });
+});
+
+test("planSlug generates a free slug for new products", async () => {
+  slugOwners.set("desk-lamp", "other");
+
+  const plan = await ProductImportService.planSlug(
+    { name: "Desk Lamp" },
+    null,
+    new Set()
+  );
+
+  assert.deepEqual(plan, { slug: "desk-lamp-2" });
+});
+
+test("planSlug keeps the slug of an unchanged product", async () => {
+  const existing = { id: "p1", name: "Desk Lamp", slug: "lamp" };
+
+  const plan = await ProductImportService.planSlug(
+    { name: "Desk Lamp" },
+    existing,
+    new Set()
+  );
+
+  assert.deepEqual(plan, { slug: "lamp" });
+});
+
+test("planSlug regenerates the slug of a renamed product", async () => {
+  slugOwners.set("table-lamp", "p1");
+  const existing = { id: "p1", name: "Desk Lamp", slug: "desk-lamp" };
+
+  const plan = await ProductImportService.planSlug(
+    { name: "Table Lamp" },
+    existing,
+    new Set()
+  );
+
+  assert.deepEqual(plan, { slug: "table-lamp" });
+});
+
+test("planSlug rejects a chosen slug owned by another product", async () => {
+  slugOwners.set("desk-lamp", "other");
+
+  const plan = await ProductImportService.planSlug(
+    { name: "Desk Lamp", slug: "desk-lamp" },
+    { id: "p1", name: "Desk Lamp", slug: "lamp" },
+    new Set()
+  );
+
+  assert.deepEqual(plan, { error: "This slug is already in use" });
+});
+
+test("planSlug rejects slugs claimed by earlier rows", async () => {
+  const claimed = new Set(["desk-lamp"]);
+
+  assert.deepEqual(
+    await ProductImportService.planSlug(
+      { name: "Lamp", slug: "desk-lamp" },
+      null,
+      claimed
+    ),
+    { error: "This slug is already in use" }
+  );
+  assert.deepEqual(
+    await ProductImportService.planSlug({ name: "Desk Lamp" }, null, claimed),
+    { error: "This slug is already in use" }
+  );
+});
+
+test("exportColumns appends the attribute columns in order", () => {
+  const columns = ProductImportService.exportColumns([
+    { sku: "A", "attr.weight": 2 },
+    { sku: "B", "attr.brand": "Acme" },
+  ]);
+
+  assert.deepEqual(columns.slice(-2), ["attr.brand", "attr.weight"]);
+  assert.equal(columns[0], "sku");
+});
@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const prisma = require("./helpers/database");
+const ReviewService = require("../services/ReviewService");
+
+test("format shows the author as first name and last initial", () => {
+  const review = ReviewService.format({
+    id: "r1",
+    rating: 4,
+    user: { firstName: "Ada", lastName: "Lovelace" },
+  });
+
+  assert.deepEqual(review, { id: "r1", rating: 4, author: "Ada L." });
+  assert.equal(
+    ReviewService.format({ user: { firstName: "Ada", lastName: "" } }).author,
+    "Ada"
+  );
+});
+
+test("orderBy falls back to newest first", () => {
+  assert.deepEqual(ReviewService.orderBy("highest"), [
+    { rating: "desc" },
+    { createdAt: "desc" },
+  ]);
+  assert.deepEqual(ReviewService.orderBy("unknown"), [{ createdAt: "desc" }]);
+});
+
+test("isVerifiedPurchase looks for a delivered order of the product", async () => {
+  let query;
+  const tx = {
+    orderItem: {
+      findFirst: async (args) => {
+        query = args;
+        return { id: "item-1" };
+      },
+    },
+  };
+
+  assert.equal(await ReviewService.isVerifiedPurchase("u1", "p1", tx), true);
+  assert.deepEqual(query.where, {
+    productId: "p1",
+    order: { userId: "u1", status: "DELIVERED" },
+  });
+});
+
+test("refreshProductRating stores the approved average and count", async () => {
+  let update;
+  const tx = {
+    review: {
+      aggregate: async () => ({
+        _avg: { rating: 4.5 },
+        _count: { _all: 2 },
+      }),
+    },
+    product: {
+      update: async (args) => {
+        update = args;
+      },
+    },
+  };
+
+  await ReviewService.refreshProductRating("p1", tx);
+
+  assert.deepEqual(update, {
+    where: { id: "p1" },
+    data: { avgRating: 4.5, reviewCount: 2 },
+  });
+});
+
+test("summary counts approved reviews per star rating", async () => {
+  prisma.review = {
+    groupBy: async () => [
+      { rating: 5, _count: { _all: 2 } },
+      { rating: 2, _count: { _all: 1 } },
+    ],
+  };
+
+  assert.deepEqual(await ReviewService.summary("p1"), {
+    averageRating: 4,
+    reviewCount: 3,
+    distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 2 },
+  });
+});
+
+test("summary has no average without reviews", async () => {
+  prisma.review = { groupBy: async () => [] };
+
+  const summary = await ReviewService.summary("p1");
+
+  assert.equal(summary.averageRating, null);
+  assert.equal(summary.reviewCount, 0);
+});
@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Prisma } = require("@prisma/client");
+const prisma = require("./helpers/database");
+const SearchService = require("../services/SearchService");
+
+test("toPrefixQuery turns each word into a prefix term", () => {
+  assert.equal(SearchService.toPrefixQuery("red sho"), "red:* & sho:*");
+});
+
+test("toPrefixQuery lowercases and keeps non-ASCII letters", () => {
+  assert.equal(
+    SearchService.toPrefixQuery("Crème BRÛLÉE"),
+    "crème:* & brûlée:*"
+  );
+});
+
+test("toPrefixQuery drops tsquery operators and punctuation", () => {
+  assert.equal(
+    SearchService.toPrefixQuery("a & b | !c:* (d) <-> 'e'"),
+    "a:* & b:* & c:* & d:* & e:*"
+  );
+});
+
+test("toPrefixQuery returns an empty query without words", () => {
+  assert.equal(SearchService.toPrefixQuery("  !?& "), "");
+});
+
+test("highlights escapes product text before adding <mark> tags", async () => {
+  let query;
+  prisma.$queryRaw = async (strings, ...values) => {
+    query = Prisma.sql(strings, ...values);
+    return [{ id: "p1", name: "<mark>Red</mark> chair", description: "" }];
+  };
+
+  const highlights = await SearchService.highlights("red", ["p1"]);
+
+  assert.match(query.sql, /ts_headline\('english',\s+replace\(/);
+  assert.match(query.sql, /'<', '&lt;'/);
+  assert.deepEqual(highlights.get("p1"), {
+    name: "<mark>Red</mark> chair",
+    description: null,
+  });
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  effectivePrice,
+  variantName,
+  availableQuantity,
+  summarizeVariants,
+} = require("../utils/variants");
+
+test("effectivePrice prefers the variant price", () => {
+  const product = { price: "20.00" };
+
+  assert.equal(effectivePrice(product, { price: "25.00" }), "25.00");
+  assert.equal(effectivePrice(product, { price: null }), "20.00");
+  assert.equal(effectivePrice(product, null), "20.00");
+});
+
+test("variantName orders option values by option position", () => {
+  const variant = {
+    optionValues: [
+      { value: "Red", option: { position: 1 } },
+      { value: "M", option: { position: 0 } },
+    ],
+  };
+
+  assert.equal(variantName(variant), "M / Red");
+  assert.equal(variantName({}), "");
+});
+
+test("availableQuantity reads variant stock for variant items", () => {
+  const product = { inventory: { quantity: 7 } };
+
+  assert.equal(availableQuantity({ product, variant: null }), 7);
+  assert.equal(
+    availableQuantity({ product, variant: { inventory: { quantity: 2 } } }),
+    2
+  );
+  assert.equal(availableQuantity({ product, variant: { inventory: null } }), 0);
+});
+
+test("summarizeVariants falls back to the product without variants", () => {
+  const summary = summarizeVariants({
+    price: "10.00",
+    inventory: { quantity: 0 },
+    variants: [],
+  });
+
+  assert.deepEqual(summary, {
+    priceRange: { min: 10, max: 10 },
+    variantCount: 0,
+    availableVariants: 0,
+    inStock: false,
+  });
+});
+
+test("summarizeVariants covers active variants only", () => {
+  const summary = summarizeVariants({
+    price: "10.00",
+    variants: [
+      { isActive: true, price: "12.50", inventory: { quantity: 0 } },
+      { isActive: true, price: null, inventory: { quantity: 3 } },
+      { isActive: false, price: "5.00", inventory: { quantity: 9 } },
+    ],
+  });
+
+  assert.deepEqual(summary, {
+    priceRange: { min: 10, max: 12.5 },
+    variantCount: 2,
+    availableVariants: 1,
+    inStock: true,
+  });
+});
@@ -0,0 +1,21 @@
+// Error to return when a user may not sign in or use their tokens,
+// or null for active accounts
+const getAccountStatusError = (user) => {
+  if (user.status === "SUSPENDED") {
+    return {
+      error: "Account suspended",
+      code: "ACCOUNT_SUSPENDED",
+      reason: user.statusReason,
+    };
+  }
+  if (user.status === "DEACTIVATED") {
+    return {
+      error: "Account deactivated",
+      code: "ACCOUNT_DEACTIVATED",
+      reason: user.statusReason,
+    };
+  }
+  return null;
+};
+
+module.exports = { getAccountStatusError };
@@ -0,0 +1,92 @@
+// Pure helpers for the nested category tree. Nodes are category rows with
+// a children array, sorted by name at every level.
+
+// Fields kept on each tree node
+const categoryNodeSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  imageUrl: true,
+  parentId: true,
+  createdAt: true,
+  _count: {
+    select: {
+      products: {
+        where: { isActive: true },
+      },
+    },
+  },
+};
+
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [category.id, { ...category, children: [] }])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortByName = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach((node) => sortByName(node.children));
+    return list;
+  };
+
+  return sortByName(roots);
+};
+
+// Depth-first list of every node without its children
+const flattenCategoryTree = (tree) =>
+  tree.flatMap(({ children, ...category }) => [
+    category,
+    ...flattenCategoryTree(children),
+  ]);
+
+// Map of id -> node for lookups by id
+const indexCategoryTree = (tree, index = new Map()) => {
+  for (const node of tree) {
+    index.set(node.id, node);
+    indexCategoryTree(node.children, index);
+  }
+  return index;
+};
+
+// Path from the root down to the category, e.g. Electronics > Laptops
+const getBreadcrumbs = (index, categoryId) => {
+  const breadcrumbs = [];
+  let node = index.get(categoryId);
+  while (node) {
+    breadcrumbs.unshift({ id: node.id, name: node.name, slug: node.slug });
+    node = node.parentId && index.get(node.parentId);
+  }
+  return breadcrumbs;
+};
+
+// Ids of the category and everything below it
+const getDescendantIds = (index, categoryId) => {
+  const node = index.get(categoryId);
+  if (!node) {
+    return [];
+  }
+  return [
+    node.id,
+    ...flattenCategoryTree(node.children).map((category) => category.id),
+  ];
+};
+
+module.exports = {
+  categoryNodeSelect,
+  buildCategoryTree,
+  flattenCategoryTree,
+  indexCategoryTree,
+  getBreadcrumbs,
+  getDescendantIds,
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV helpers
+
+// Text a spreadsheet would run as a formula. A value that already starts
+// with the guard quote gets another one, so parseCsv can undo it exactly.
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PATTERN.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const unescapeFormula = (str) =>
+  FORMULA_PATTERN.test(str) && str.startsWith("'") ? str.slice(1) : str;
+
+// columns: [{ header: "Email", value: (row) => row.email }, ...]
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.header))];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(column.value(row))));
+  }
+  return lines.map((line) => line.join(",")).join("\r\n") + "\r\n";
+};
+
+// Parses CSV text into objects keyed by the header row. Quoted fields may
+// contain commas, escaped quotes ("") and line breaks.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records.filter(
+    (r) => r.length > 1 || r[0] !== ""
+  );
+  return rows.map((row) =>
+    Object.fromEntries(
+      headers.map((header, i) => [header.trim(), unescapeFormula(row[i] ?? "")])
+    )
+  );
+};
+
+module.exports = { escapeCsvValue, toCsv, parseCsv };
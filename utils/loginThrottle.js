@@ -0,0 +1,9 @@
+// 423/429 response for a block returned by LoginThrottleService
+const sendLoginBlocked = (res, block) => {
+  res.set("Retry-After", String(block.retryAfter));
+  return res
+    .status(block.status)
+    .json({ error: block.error, retryAfter: block.retryAfter });
+};
+
+module.exports = { sendLoginBlocked };
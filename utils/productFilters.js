@@ -0,0 +1,121 @@
+// Prisma where clauses for the product listing filters. Facets reuse them
+// so that their counts follow the same rules as the results.
+
+// A product matches when its own price or any active variant price is in
+// range. max is exclusive when exclusiveMax is set (used by facet buckets).
+const priceRangeWhere = (min, max, { exclusiveMax = false } = {}) => {
+  const range = {
+    ...(min && { gte: min }),
+    ...(max && { [exclusiveMax ? "lt" : "lte"]: max }),
+  };
+
+  return {
+    OR: [
+      { price: range },
+      { variants: { some: { isActive: true, price: range } } },
+    ],
+  };
+};
+
+// Products with variants are in stock when an active variant is; others
+// when the product inventory is
+const IN_STOCK_WHERE = {
+  OR: [
+    {
+      variants: { none: { isActive: true } },
+      inventory: { quantity: { gt: 0 } },
+    },
+    {
+      variants: {
+        some: { isActive: true, inventory: { quantity: { gt: 0 } } },
+      },
+    },
+  ],
+};
+
+const stockWhere = (inStock) =>
+  inStock ? IN_STOCK_WHERE : { NOT: IN_STOCK_WHERE };
+
+// Attribute filters come from query keys such as attr.brand=acme,globex
+// (any of the values) or attr.weight_lt=2 (lt, lte, gt, gte on numbers)
+const ATTRIBUTE_FILTER_PATTERN =
+  /^attr\.([a-z][a-z0-9_]*?)(?:_(lt|lte|gt|gte))?$/;
+
+// Turns the attr.* query params into [{ key, op, values }], sorted so that
+// equal filters always produce the same cache key
+const parseAttributeFilters = (query) =>
+  Object.entries(query)
+    .map(([param, raw]) => {
+      const match = ATTRIBUTE_FILTER_PATTERN.exec(param);
+      if (!match) {
+        return null;
+      }
+      const [, key, op = "eq"] = match;
+      const values = String(raw)
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .sort();
+      return { key, op, values };
+    })
+    .filter(Boolean)
+    .sort((a, b) => `${a.key}_${a.op}`.localeCompare(`${b.key}_${b.op}`));
+
+// Equality matches the text (case-insensitive), number or boolean column,
+// whichever the attribute uses
+const attributeValueMatch = (value) => [
+  { textValue: { equals: value, mode: "insensitive" } },
+  ...(Number.isFinite(Number(value)) ? [{ numberValue: Number(value) }] : []),
+  ...(value === "true" || value === "false"
+    ? [{ booleanValue: value === "true" }]
+    : []),
+];
+
+const attributeWhere = ({ key, op, values }) => ({
+  attributes: {
+    some: {
+      definition: { key },
+      ...(op === "eq"
+        ? { OR: values.flatMap(attributeValueMatch) }
+        : { numberValue: { [op]: Number(values[0]) } }),
+    },
+  },
+});
+
+// except leaves out one filter ("category", "price", "stock" or
+// "attr.<key>") so a facet can count across its own alternatives
+const buildProductWhere = (filters, except) => {
+  const {
+    isActive,
+    categoryId,
+    minPrice,
+    maxPrice,
+    inStock,
+    attributes = [],
+    matchedIds,
+  } = filters;
+
+  return {
+    isActive,
+    ...(categoryId && except !== "category" && { categoryId }),
+    ...(matchedIds && { id: { in: matchedIds } }),
+    AND: [
+      ...((minPrice || maxPrice) && except !== "price"
+        ? [priceRangeWhere(minPrice, maxPrice)]
+        : []),
+      ...(inStock !== undefined && except !== "stock"
+        ? [stockWhere(inStock)]
+        : []),
+      ...attributes
+        .filter((filter) => except !== `attr.${filter.key}`)
+        .map(attributeWhere),
+    ],
+  };
+};
+
+module.exports = {
+  priceRangeWhere,
+  stockWhere,
+  parseAttributeFilters,
+  buildProductWhere,
+};
@@ -0,0 +1,42 @@
+const MAX_SLUG_LENGTH = 80;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Fixed path segments of the product and category routes. An item with one
+// of these slugs could never be reached, since the static routes win.
+const RESERVED_SLUGS = [
+  "search",
+  "suggest",
+  "export",
+  "import",
+  "category",
+  "tree",
+];
+
+// "Café Table (Oak)" -> "cafe-table-oak"
+const slugify = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+
+// First free slug of base, base-2, base-3, ... according to isTaken.
+// Reserved slugs are never free.
+const uniqueSlug = async (base, isTaken) => {
+  let candidate = base;
+  for (
+    let suffix = 2;
+    RESERVED_SLUGS.includes(candidate) || (await isTaken(candidate));
+    suffix++
+  ) {
+    const tail = `-${suffix}`;
+    candidate = `${base.slice(0, MAX_SLUG_LENGTH - tail.length)}${tail}`;
+  }
+  return candidate;
+};
+
+module.exports = { SLUG_PATTERN, RESERVED_SLUGS, slugify, uniqueSlug };
@@ -0,0 +1,68 @@
+// Helpers shared by the catalog, cart and order controllers for products
+// that are sold as variants
+
+// A variant price overrides the product price; without one the product
+// price applies
+const effectivePrice = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : product.price;
+
+// Human-readable label such as "M / Red", ordered by option position
+const variantName = (variant) =>
+  [...(variant.optionValues || [])]
+    .sort((a, b) => (a.option?.position ?? 0) - (b.option?.position ?? 0))
+    .map((optionValue) => optionValue.value)
+    .join(" / ");
+
+// Stock comes from the variant for variant items, otherwise the product
+const availableQuantity = (item) =>
+  (item.variant ? item.variant.inventory : item.product.inventory)?.quantity ??
+  0;
+
+// Listing summary: price range and availability across active variants,
+// falling back to the product itself when it has none
+const summarizeVariants = (product) => {
+  const variants = (product.variants || []).filter((v) => v.isActive);
+
+  if (variants.length === 0) {
+    const price = parseFloat(product.price);
+    return {
+      priceRange: { min: price, max: price },
+      variantCount: 0,
+      availableVariants: 0,
+      inStock: (product.inventory?.quantity ?? 0) > 0,
+    };
+  }
+
+  const prices = variants.map((v) => parseFloat(effectivePrice(product, v)));
+  const availableVariants = variants.filter(
+    (v) => (v.inventory?.quantity ?? 0) > 0
+  ).length;
+
+  return {
+    priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+    variantCount: variants.length,
+    availableVariants,
+    inStock: availableVariants > 0,
+  };
+};
+
+const variantInclude = {
+  inventory: { select: { quantity: true } },
+  optionValues: {
+    select: {
+      id: true,
+      value: true,
+      option: { select: { id: true, name: true, position: true } },
+    },
+  },
+};
+
+module.exports = {
+  effectivePrice,
+  variantName,
+  availableQuantity,
+  summarizeVariants,
+  variantInclude,
+};
@@ -0,0 +1,89 @@
+const joi = require("joi");
+
+// Countries we ship to, with their postal code format
+const POSTCODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  IE: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/i,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/i,
+  BE: /^\d{4}$/,
+  AT: /^\d{4}$/,
+  CH: /^\d{4}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  AU: /^\d{4}$/,
+  EG: /^\d{5}$/,
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(POSTCODE_PATTERNS);
+
+const addressFields = {
+  label: joi.string().trim().max(50),
+  fullName: joi.string().trim().min(2).max(100),
+  line1: joi.string().trim().min(3).max(200),
+  line2: joi.string().trim().max(200).allow("", null),
+  city: joi.string().trim().min(2).max(100),
+  region: joi.string().trim().max(100).allow("", null),
+  postalCode: joi.string().trim().uppercase().max(20),
+  country: joi
+    .string()
+    .trim()
+    .uppercase()
+    .valid(...SUPPORTED_COUNTRIES)
+    .messages({ "any.only": "We do not ship to this country" }),
+  phone: joi
+    .string()
+    .trim()
+    .pattern(/^\+?[\d\s()-]{6,20}$/)
+    .allow("", null)
+    .messages({ "string.pattern.base": "Phone number is not valid" }),
+  isDefaultShipping: joi.boolean(),
+  isDefaultBilling: joi.boolean(),
+};
+
+const validatePostcode = (value, helpers) => {
+  if (
+    value.country &&
+    value.postalCode &&
+    !POSTCODE_PATTERNS[value.country].test(value.postalCode)
+  ) {
+    return helpers.error("custom.postalCode", { country: value.country });
+  }
+  return value;
+};
+
+const createAddressSchema = joi
+  .object({
+    ...addressFields,
+    fullName: addressFields.fullName.required(),
+    line1: addressFields.line1.required(),
+    city: addressFields.city.required(),
+    postalCode: addressFields.postalCode.required(),
+    country: addressFields.country.required(),
+  })
+  .custom(validatePostcode, "Postal Code Validation")
+  .messages({
+    "custom.postalCode": "Postal code is not valid for {#country}",
+  });
+
+// Country and postal code must be changed together so they stay consistent
+const updateAddressSchema = joi
+  .object(addressFields)
+  .min(1)
+  .and("country", "postalCode")
+  .custom(validatePostcode, "Postal Code Validation")
+  .messages({
+    "custom.postalCode": "Postal code is not valid for {#country}",
+    "object.and": "Country and postal code must be updated together",
+  });
+
+module.exports = {
+  POSTCODE_PATTERNS,
+  SUPPORTED_COUNTRIES,
+  createAddressSchema,
+  updateAddressSchema,
+};
@@ -0,0 +1,16 @@
+const joi = require("joi");
+
+const API_KEY_SCOPES = ["inventory:write", "orders:read", "orders:write"];
+
+const createApiKeySchema = joi.object({
+  name: joi.string().trim().min(2).max(100).required(),
+  scopes: joi
+    .array()
+    .items(joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required(),
+  expiresAt: joi.date().greater("now").optional(),
+});
+
+module.exports = { API_KEY_SCOPES, createApiKeySchema };
@@ -5,7 +5,8 @@ const registerSchema = joi.object({
   password: joi.string().min(6).required(),
   firstName: joi.string().required(),
   lastName: joi.string().required(),
-  role: joi.string().valid("CUSTOMER").default("CUSTOMER"),
+  // Accepted for older clients; registration always creates a customer
+  role: joi.string().valid("CUSTOMER").optional(),
 });
 
 const loginSchema = joi.object({
@@ -13,4 +14,61 @@ const loginSchema = joi.object({
   password: joi.string().required(),
 });
 
-module.exports = { registerSchema, loginSchema };
+const refreshTokenSchema = joi.object({
+  refreshToken: joi.string().required(),
+});
+
+const forgotPasswordSchema = joi.object({
+  email: joi.string().email().required(),
+});
+
+const resetPasswordSchema = joi.object({
+  token: joi.string().required(),
+  password: joi.string().min(6).required(),
+});
+
+const verifyEmailSchema = joi.object({
+  token: joi.string().required(),
+});
+
+const resendVerificationSchema = joi.object({
+  email: joi.string().email().required(),
+});
+
+const totpCode = joi
+  .string()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": "Code must be 6 digits" });
+
+const twoFactorCodeSchema = joi.object({
+  code: totpCode.required(),
+});
+
+const twoFactorDisableSchema = joi
+  .object({
+    password: joi.string().required(),
+    code: totpCode,
+    recoveryCode: joi.string(),
+  })
+  .xor("code", "recoveryCode");
+
+const twoFactorVerifySchema = joi
+  .object({
+    challengeToken: joi.string().required(),
+    code: totpCode,
+    recoveryCode: joi.string(),
+  })
+  .xor("code", "recoveryCode");
+
+module.exports = {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  twoFactorVerifySchema,
+};
@@ -1,4 +1,19 @@
 const joi = require("joi");
+const { SLUG_PATTERN, RESERVED_SLUGS } = require("../utils/slug");
+const { ATTRIBUTE_KEY_PATTERN } = require("./productValidation");
+
+// Optional custom slug; generated from the name when left out
+const slugField = joi
+  .string()
+  .max(80)
+  .pattern(SLUG_PATTERN)
+  .invalid(...RESERVED_SLUGS)
+  .optional()
+  .messages({
+    "string.pattern.base":
+      "Slug may only contain lowercase letters, numbers and hyphens",
+    "any.invalid": "This slug is reserved",
+  });
 
 const ALLOWED_CATEGORIES = [
   "ELECTRONICS",
@@ -12,20 +27,81 @@ const ALLOWED_CATEGORIES = [
   "FOOD_BEVERAGES",
 ];
 
+// Root categories come from the fixed list; subcategories are free-form
 const createCategorySchema = joi.object({
   name: joi
     .string()
     .uppercase()
-    .valid(...ALLOWED_CATEGORIES)
+    .when("parentId", {
+      is: joi.exist(),
+      then: joi.string().trim().min(2).max(50),
+      otherwise: joi.valid(...ALLOWED_CATEGORIES),
+    })
     .required(),
+  slug: slugField,
   description: joi.string().optional(),
   imageUrl: joi.string().uri().optional(),
+  parentId: joi.string().optional(),
 });
 
 const updateCategorySchema = joi.object({
   name: joi.string().uppercase().required(),
+  slug: slugField,
   description: joi.string().required(),
   imageUrl: joi.string().uri().optional(),
 });
 
-module.exports = { createCategorySchema, updateCategorySchema };
+// parentId null moves the category to the root
+const moveCategorySchema = joi.object({
+  parentId: joi.string().allow(null).required(),
+});
+
+// Attribute Definition Validation Schemas
+const attributeFields = {
+  name: joi.string().trim().min(1).max(60),
+  unit: joi.string().trim().max(20).allow(null),
+  options: joi.array().items(joi.string().trim().min(1).max(60)).unique(),
+  required: joi.boolean(),
+  filterable: joi.boolean(),
+  position: joi.number().integer().min(0),
+};
+
+const createAttributeSchema = joi.object({
+  key: joi.string().pattern(ATTRIBUTE_KEY_PATTERN).required().messages({
+    "string.pattern.base":
+      "Key must be lowercase letters, numbers and underscores, and not end in _lt, _lte, _gt or _gte",
+  }),
+  name: attributeFields.name.required(),
+  type: joi.string().valid("TEXT", "NUMBER", "BOOLEAN", "ENUM").required(),
+  unit: attributeFields.unit.optional(),
+  // Required for ENUM attributes, not allowed otherwise
+  options: attributeFields.options.when("type", {
+    is: "ENUM",
+    then: joi.array().min(1).required(),
+    otherwise: joi.forbidden(),
+  }),
+  required: attributeFields.required.default(false),
+  filterable: attributeFields.filterable.default(true),
+  position: attributeFields.position.default(0),
+});
+
+// key and type are fixed once products may hold values for them
+const updateAttributeSchema = joi
+  .object({
+    name: attributeFields.name.optional(),
+    unit: attributeFields.unit.optional(),
+    options: attributeFields.options.min(1).optional(),
+    required: attributeFields.required.optional(),
+    filterable: attributeFields.filterable.optional(),
+    position: attributeFields.position.optional(),
+  })
+  .min(1);
+
+module.exports = {
+  ALLOWED_CATEGORIES,
+  createCategorySchema,
+  updateCategorySchema,
+  moveCategorySchema,
+  createAttributeSchema,
+  updateAttributeSchema,
+};
@@ -0,0 +1,19 @@
+const joi = require("joi");
+const { STAFF_ROLES } = require("../config/permissions");
+
+const createInvitationSchema = joi.object({
+  email: joi.string().email().required(),
+  role: joi
+    .string()
+    .valid(...STAFF_ROLES)
+    .default("ADMIN"),
+});
+
+const acceptInvitationSchema = joi.object({
+  token: joi.string().required(),
+  password: joi.string().min(6).required(),
+  firstName: joi.string().required(),
+  lastName: joi.string().required(),
+});
+
+module.exports = { createInvitationSchema, acceptInvitationSchema };
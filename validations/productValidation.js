@@ -1,8 +1,44 @@
 const joi = require("joi");
+const { SLUG_PATTERN, RESERVED_SLUGS } = require("../utils/slug");
+const { parseAttributeFilters } = require("../utils/productFilters");
+
+const MAX_ATTRIBUTE_FILTERS = 10;
+
+// Attribute keys: lowercase snake_case. The _lt/_lte/_gt/_gte endings are
+// taken by the range filters (attr.weight_lt=2).
+const ATTRIBUTE_KEY_PATTERN = /^(?!.*_(lt|lte|gt|gte)$)[a-z][a-z0-9_]{0,39}$/;
+
+// { key: value } of typed attributes; null removes a value
+const attributesField = joi
+  .object()
+  .pattern(
+    joi.string(),
+    joi
+      .alternatives()
+      .try(joi.string().trim().max(200), joi.number(), joi.boolean())
+      .allow(null)
+  )
+  .max(50)
+  .optional();
+
+// Optional custom slug; generated from the name when left out
+const slugField = joi
+  .string()
+  .max(80)
+  .pattern(SLUG_PATTERN)
+  .invalid(...RESERVED_SLUGS)
+  .optional()
+  .messages({
+    "string.pattern.base":
+      "Slug may only contain lowercase letters, numbers and hyphens",
+    "any.invalid": "This slug is reserved",
+  });
 
 // Create Product Validation Schema
 const createProductSchema = joi.object({
   name: joi.string().trim().min(2).max(100).required(),
+  slug: slugField,
+  sku: joi.string().trim().min(1).max(64).optional(),
   description: joi.string().trim().max(1000).optional(),
   price: joi.number().positive().precision(2).required().messages({
     "number.positive": "Price must be a positive number",
@@ -12,6 +48,7 @@ const createProductSchema = joi.object({
   categoryId: joi.string().required().messages({
     "string.empty": "Category is required",
   }),
+  attributes: attributesField,
   isActive: joi.boolean().default(true),
   // Initial inventory quantity when creating product
   initialQuantity: joi.number().integer().min(0).default(0).messages({
@@ -23,6 +60,8 @@ const createProductSchema = joi.object({
 // Update Product Validation Schema
 const updateProductSchema = joi.object({
   name: joi.string().trim().min(2).max(100).optional(),
+  slug: slugField,
+  sku: joi.string().trim().min(1).max(64).optional(),
   description: joi.string().trim().max(1000).optional(),
   price: joi.number().positive().precision(2).optional().messages({
     "number.positive": "Price must be a positive number",
@@ -31,6 +70,17 @@ const updateProductSchema = joi.object({
   imageUrl: joi.string().uri().optional(),
   categoryId: joi.string().optional(),
   isActive: joi.boolean().optional(),
+  attributes: attributesField,
+});
+
+// Bulk Import/Export Query Validation Schemas
+const importQuerySchema = joi.object({
+  // Validate and report without writing anything
+  dryRun: joi.boolean().default(false),
+});
+
+const exportQuerySchema = joi.object({
+  format: joi.string().valid("csv", "json").default("csv"),
 });
 
 // Product Query/Filter Validation Schema
@@ -43,21 +93,61 @@ const productQuerySchema = joi
     minPrice: joi.number().positive().optional(),
     maxPrice: joi.number().positive().optional(),
     isActive: joi.boolean().default(true),
+    inStock: joi.boolean().optional(),
+    // Include facet counts (categories, price ranges, stock, attributes,
+    // specs)
+    facets: joi.boolean().default(false),
+    // Searches default to relevance order
     sortBy: joi
       .string()
-      .valid("name", "price", "createdAt")
-      .default("createdAt"),
+      .valid("name", "price", "createdAt", "rating", "relevance")
+      .when("search", {
+        is: joi.exist(),
+        then: joi.string().default("relevance"),
+        otherwise: joi.string().default("createdAt"),
+      }),
     sortOrder: joi.string().valid("asc", "desc").default("desc"),
   })
+  // Attribute filters: attr.brand=acme,globex or attr.weight_lt=2
+  .pattern(/^attr\.[a-z][a-z0-9_]*$/, joi.string().trim().min(1).max(200))
   .custom((value, helpers) => {
     // Ensure minPrice is less than maxPrice if both are provided
     if (value.minPrice && value.maxPrice && value.minPrice >= value.maxPrice) {
       return helpers.error("custom.minMaxPrice");
     }
-    return value;
-  }, "Price Range Validation")
+    if (value.sortBy === "relevance" && !value.search) {
+      return helpers.error("custom.relevanceSearch");
+    }
+
+    // The attr.* params are replaced by the parsed attributes list
+    const attributes = parseAttributeFilters(value);
+    if (attributes.length > MAX_ATTRIBUTE_FILTERS) {
+      return helpers.error("custom.attributeCount");
+    }
+    for (const { op, values } of attributes) {
+      if (values.length === 0) {
+        return helpers.error("custom.attributeValue");
+      }
+      if (
+        op !== "eq" &&
+        (values.length > 1 || !Number.isFinite(Number(values[0])))
+      ) {
+        return helpers.error("custom.attributeRange");
+      }
+    }
+
+    const filters = Object.fromEntries(
+      Object.entries(value).filter(([key]) => !key.startsWith("attr."))
+    );
+    return { ...filters, attributes };
+  }, "Price Range and Attribute Filter Validation")
   .messages({
     "custom.minMaxPrice": "Minimum price must be less than maximum price",
+    "custom.relevanceSearch": "Sorting by relevance requires a search term",
+    "custom.attributeCount": `At most ${MAX_ATTRIBUTE_FILTERS} attribute filters are allowed`,
+    "custom.attributeValue": "Attribute filters need a value",
+    "custom.attributeRange":
+      "Attribute range filters (_lt, _lte, _gt, _gte) take a single number",
   });
 
 // Update Inventory Validation Schema
@@ -68,9 +158,118 @@ const updateInventorySchema = joi.object({
   }),
 });
 
+// Typeahead Suggestion Query Validation Schema
+const suggestQuerySchema = joi.object({
+  q: joi.string().trim().min(1).max(50).required(),
+  limit: joi.number().integer().min(1).max(10).default(5),
+});
+
+// Related Products Query Validation Schema
+const relatedQuerySchema = joi.object({
+  limit: joi.number().integer().min(1).max(20).default(8),
+});
+
+// Product Option Validation Schemas (e.g. Size: S, M, L)
+const createOptionSchema = joi.object({
+  name: joi.string().trim().min(1).max(50).required(),
+  position: joi.number().integer().min(0).default(0),
+  values: joi
+    .array()
+    .items(joi.string().trim().min(1).max(50))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "An option needs at least one value",
+      "array.unique": "Option values must be unique",
+    }),
+});
+
+const updateOptionSchema = joi
+  .object({
+    name: joi.string().trim().min(1).max(50).optional(),
+    position: joi.number().integer().min(0).optional(),
+    // Values to add; existing values are kept
+    values: joi
+      .array()
+      .items(joi.string().trim().min(1).max(50))
+      .min(1)
+      .unique()
+      .optional(),
+  })
+  .min(1);
+
+// Product Variant Validation Schemas
+const createVariantSchema = joi.object({
+  sku: joi.string().trim().min(1).max(64).required(),
+  // Leave empty to use the product price
+  price: joi.number().positive().precision(2).allow(null).optional().messages({
+    "number.positive": "Price must be a positive number",
+    "number.base": "Price must be a valid number",
+  }),
+  imageUrl: joi.string().uri().optional(),
+  isActive: joi.boolean().default(true),
+  position: joi.number().integer().min(0).default(0),
+  optionValueIds: joi.array().items(joi.string()).unique().default([]),
+  initialQuantity: joi.number().integer().min(0).default(0).messages({
+    "number.min": "Initial quantity cannot be negative",
+    "number.integer": "Initial quantity must be a whole number",
+  }),
+});
+
+const updateVariantSchema = joi
+  .object({
+    sku: joi.string().trim().min(1).max(64).optional(),
+    price: joi
+      .number()
+      .positive()
+      .precision(2)
+      .allow(null)
+      .optional()
+      .messages({
+        "number.positive": "Price must be a positive number",
+        "number.base": "Price must be a valid number",
+      }),
+    imageUrl: joi.string().uri().allow(null).optional(),
+    isActive: joi.boolean().optional(),
+    position: joi.number().integer().min(0).optional(),
+    optionValueIds: joi.array().items(joi.string()).unique().optional(),
+  })
+  .min(1);
+
+// Product Image Validation Schemas
+// Multipart text fields sent along with the uploaded images
+const uploadImagesSchema = joi.object({
+  altText: joi.string().trim().max(250).optional(),
+});
+
+const updateImageSchema = joi
+  .object({
+    altText: joi.string().trim().max(250).allow(null, "").optional(),
+    // Making another image primary is how the primary image changes
+    isPrimary: joi.boolean().valid(true).optional(),
+  })
+  .min(1);
+
+const reorderImagesSchema = joi.object({
+  imageIds: joi.array().items(joi.string()).min(1).unique().required(),
+});
+
 module.exports = {
+  ATTRIBUTE_KEY_PATTERN,
   createProductSchema,
   updateProductSchema,
   productQuerySchema,
   updateInventorySchema,
+  suggestQuerySchema,
+  relatedQuerySchema,
+  importQuerySchema,
+  exportQuerySchema,
+  createOptionSchema,
+  updateOptionSchema,
+  createVariantSchema,
+  updateVariantSchema,
+  uploadImagesSchema,
+  updateImageSchema,
+  reorderImagesSchema,
 };
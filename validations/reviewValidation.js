@@ -0,0 +1,70 @@
+const joi = require("joi");
+
+const REVIEW_STATUSES = ["PENDING", "APPROVED", "HIDDEN"];
+
+const reviewFields = {
+  rating: joi.number().integer().min(1).max(5).messages({
+    "number.min": "Rating must be between 1 and 5",
+    "number.max": "Rating must be between 1 and 5",
+    "number.integer": "Rating must be a whole number",
+  }),
+  title: joi.string().trim().min(3).max(120),
+  body: joi.string().trim().min(10).max(5000),
+};
+
+// Create Review Validation Schema
+const createReviewSchema = joi.object({
+  rating: reviewFields.rating.required(),
+  title: reviewFields.title.required(),
+  body: reviewFields.body.required(),
+});
+
+// Update Review Validation Schema
+const updateReviewSchema = joi
+  .object({
+    rating: reviewFields.rating.optional(),
+    title: reviewFields.title.optional(),
+    body: reviewFields.body.optional(),
+  })
+  .min(1);
+
+// Public Review Listing Query Validation Schema
+const reviewQuerySchema = joi.object({
+  page: joi.number().integer().min(1).default(1),
+  limit: joi.number().integer().min(1).max(50).default(10),
+  rating: joi.number().integer().min(1).max(5).optional(),
+  verifiedOnly: joi.boolean().default(false),
+  sortBy: joi
+    .string()
+    .valid("newest", "oldest", "highest", "lowest")
+    .default("newest"),
+});
+
+// Moderation Queue Query Validation Schema
+const moderationQuerySchema = joi.object({
+  page: joi.number().integer().min(1).default(1),
+  limit: joi.number().integer().min(1).max(100).default(20),
+  status: joi
+    .string()
+    .valid(...REVIEW_STATUSES)
+    .default("PENDING"),
+  productId: joi.string().optional(),
+});
+
+// Moderation Validation Schemas
+const moderateReviewSchema = joi.object({
+  status: joi.string().valid("APPROVED", "HIDDEN").required(),
+});
+
+const replyReviewSchema = joi.object({
+  reply: joi.string().trim().min(1).max(2000).required(),
+});
+
+module.exports = {
+  createReviewSchema,
+  updateReviewSchema,
+  reviewQuerySchema,
+  moderationQuerySchema,
+  moderateReviewSchema,
+  replyReviewSchema,
+};
@@ -1,10 +1,100 @@
 const joi = require("joi");
+const { STAFF_ROLES } = require("../config/permissions");
+
+// Field rules shared by the admin and the self-service schemas
+const userFields = {
+  email: joi.string().email(),
+  password: joi.string().min(6),
+  firstName: joi.string(),
+  lastName: joi.string(),
+};
 
 const updateUserSchema = joi.object({
-  email: joi.string().email().required(),
-  password: joi.string().min(6).required(),
-  firstName: joi.string().required(),
-  lastName: joi.string().required(),
+  email: userFields.email.required(),
+  password: userFields.password.required(),
+  firstName: userFields.firstName.required(),
+  lastName: userFields.lastName.required(),
+});
+
+const updateUserRoleSchema = joi.object({
+  role: joi
+    .string()
+    .valid("CUSTOMER", ...STAFF_ROLES)
+    .required(),
 });
 
-module.exports = { updateUserSchema };
+const updateProfileSchema = joi
+  .object({
+    email: userFields.email,
+    firstName: userFields.firstName,
+    lastName: userFields.lastName,
+  })
+  .min(1);
+
+const changePasswordSchema = joi.object({
+  currentPassword: joi.string().required(),
+  newPassword: userFields.password.required(),
+});
+
+const closeAccountSchema = joi.object({
+  password: joi.string().required(),
+});
+
+const updateUserStatusSchema = joi.object({
+  status: joi.string().valid("ACTIVE", "SUSPENDED", "DEACTIVATED").required(),
+  reason: joi.string().trim().max(500).when("status", {
+    is: "ACTIVE",
+    then: joi.optional(),
+    otherwise: joi.required(),
+  }),
+});
+
+const purgeUserSchema = joi.object({
+  // Guard against purging the wrong account by accident
+  confirmEmail: joi.string().email().required(),
+});
+
+// Admin user directory filters (list and CSV export)
+const userQuerySchema = joi
+  .object({
+    page: joi.number().integer().min(1).default(1),
+    limit: joi.number().integer().min(1).max(100).default(20),
+    search: joi.string().trim().max(100).optional(),
+    role: joi
+      .string()
+      .valid("CUSTOMER", ...STAFF_ROLES)
+      .optional(),
+    status: joi.string().valid("ACTIVE", "SUSPENDED", "DEACTIVATED").optional(),
+    createdFrom: joi.date().iso().optional(),
+    createdTo: joi.date().iso().optional(),
+    includeDeleted: joi.boolean().default(false),
+    sortBy: joi
+      .string()
+      .valid("createdAt", "email", "firstName", "lastName", "orderCount")
+      .default("createdAt"),
+    sortOrder: joi.string().valid("asc", "desc").default("desc"),
+  })
+  .custom((value, helpers) => {
+    if (
+      value.createdFrom &&
+      value.createdTo &&
+      value.createdFrom > value.createdTo
+    ) {
+      return helpers.error("custom.dateRange");
+    }
+    return value;
+  }, "Signup Date Range Validation")
+  .messages({
+    "custom.dateRange": "createdFrom must be before createdTo",
+  });
+
+module.exports = {
+  updateUserSchema,
+  updateUserRoleSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  closeAccountSchema,
+  userQuerySchema,
+  updateUserStatusSchema,
+  purgeUserSchema,
+};
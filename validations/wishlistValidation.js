@@ -0,0 +1,36 @@
+const joi = require("joi");
+
+// Add Wishlist Item Validation Schema
+const addWishlistItemSchema = joi.object({
+  productId: joi.string().required(),
+  variantId: joi.string().optional(),
+  // Defaults to the customer's default list
+  wishlistId: joi.string().optional(),
+});
+
+// Move To Cart Validation Schema
+const moveToCartSchema = joi.object({
+  quantity: joi.number().integer().min(1).max(99).default(1),
+  // Picks a variant for items saved without one
+  variantId: joi.string().optional(),
+});
+
+// Wishlist Validation Schemas
+const createWishlistSchema = joi.object({
+  name: joi.string().trim().min(1).max(50).required(),
+});
+
+const updateWishlistSchema = joi
+  .object({
+    name: joi.string().trim().min(1).max(50).optional(),
+    // A list stops being the default only when another one becomes it
+    isDefault: joi.boolean().valid(true).optional(),
+  })
+  .min(1);
+
+module.exports = {
+  addWishlistItemSchema,
+  moveToCartSchema,
+  createWishlistSchema,
+  updateWishlistSchema,
+};